@@ -1,13 +1,17 @@
 // ChatGPT Completion Notifier - Background Service Worker
 // Manages tab monitoring state and sends notifications
 
-// Track all ChatGPT tabs with rich metadata
+importScripts('settings.js', 'sites.js', 'db.js', 'history.js', 'stats.js', 'webhooks.js', 'rules.js');
+
+// Track all assistant tabs (ChatGPT, Claude, Gemini, Perplexity) with rich metadata
 const tabsData = new Map(); // tabId -> TabInfo
 
 // Ephemeral tab metadata persisted across service worker restarts (prefer session storage)
 const EPHEMERAL_TABS_KEY = 'tabsDataEphemeral';
 
-const VALID_STATES = new Set(['idle', 'generating', 'thinking', 'writing', 'completed']);
+const VALID_STATES = new Set(['idle', 'generating', 'thinking', 'writing', 'completed', 'error', 'needs_attention']);
+const VALID_ERROR_REASONS = new Set(['network', 'server', 'usage_limit']);
+const VALID_ATTENTION_KINDS = new Set(['continue', 'approval', 'question']);
 
 function getEphemeralStorageArea() {
   // chrome.storage.session persists across MV3 service worker restarts, but not browser restarts.
@@ -19,6 +23,14 @@ function normalizeState(value) {
   return VALID_STATES.has(value) ? value : null;
 }
 
+function normalizeErrorReason(value) {
+  return VALID_ERROR_REASONS.has(value) ? value : null;
+}
+
+function normalizeAttentionKind(value) {
+  return VALID_ATTENTION_KINDS.has(value) ? value : null;
+}
+
 function normalizeTimestamp(value) {
   const num = Number(value);
   if (!Number.isFinite(num) || num <= 0) return null;
@@ -68,9 +80,15 @@ function persistEphemeralFields(tabId) {
   if (!tab) return;
   void upsertEphemeralTabData(tabId, {
     currentState: tab.currentState,
+    errorReason: tab.errorReason,
+    attentionKind: tab.attentionKind,
     stateChangedAt: tab.stateChangedAt,
     lastMessageTime: tab.lastMessageTime,
-    generationStartedAt: tab.generationStartedAt
+    generationStartedAt: tab.generationStartedAt,
+    model: tab.model,
+    reasoning: tab.reasoning,
+    unread: tab.unread,
+    warning: tab.warning
   });
 }
 
@@ -80,60 +98,50 @@ function persistEphemeralFields(tabId) {
 //   windowId: number,
 //   url: string,
 //   title: string,
+//   site: string (SiteAdapter id, e.g. 'chatgpt'),
 //   isMonitored: boolean,
-//   currentState: 'idle' | 'generating' | 'thinking' | 'writing' | 'completed',
+//   currentState: 'idle' | 'generating' | 'thinking' | 'writing' | 'completed' | 'error' | 'needs_attention',
+//   errorReason: 'network' | 'server' | 'usage_limit' | null (set while in the error state),
+//   attentionKind: 'continue' | 'approval' | 'question' | null (set while in the needs_attention state),
+//   autoContinue: boolean (click "Continue generating" instead of alerting),
 //   stateChangedAt: number (timestamp),
 //   lastMessageTime: number (timestamp from ChatGPT API, null if not available),
+//   model: string|null (model slug from the ChatGPT API, e.g. 'gpt-4o', 'o3'),
+//   reasoning: boolean (model thinks before answering),
 //   generationStartedAt: number (for timer display),
+//   visibilityState: 'visible' | 'hidden' (document.visibilityState reported by content script),
+//   unread: boolean (completed while the page wasn't in view; cleared when the tab is viewed),
+//   warning: 'stalled' | 'long_running' | null (set by the content script while generating),
 //   completions: [{ timestamp, duration, preview }] // last 5
 // }
 
-// Legacy compatibility - will migrate to tabsData
+// Tabs with alerts on. Only a runtime mapping (kept in ephemeral storage for service worker
+// restarts): the bell is remembered per conversation, see Conversations below.
 const monitoredTabs = new Set();
+const MONITORED_TAB_IDS_KEY = 'monitoredTabIds';
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  soundEnabled: true,
-  soundVolume: 0.5,
-  selectedSound: 'success',
-  notificationsEnabled: true,
-  previewLength: 100,
-  autoEnableEnabled: true,
-  stabilityWindowMs: 1500
-};
-
-// Current settings (loaded from storage)
+// Current settings (loaded from storage, see settings.js)
 let settings = { ...DEFAULT_SETTINGS };
 
-const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS);
-
-function sanitizeSettings(raw) {
-  const sanitized = { ...DEFAULT_SETTINGS };
-  if (!raw || typeof raw !== 'object') return sanitized;
-  for (const key of SETTINGS_KEYS) {
-    if (Object.prototype.hasOwnProperty.call(raw, key)) {
-      sanitized[key] = raw[key];
-    }
-  }
-  return sanitized;
-}
-
-// Load settings from storage
+// Load settings from storage, writing back data from older schema versions
 async function loadSettings() {
-  const result = await chrome.storage.sync.get(['settings']);
-  settings = sanitizeSettings(result.settings);
+  const state = await loadSettingsState();
+  if (state.migrated) {
+    await saveSettingsState(state);
+    console.log('[ChatGPT Notifier] Settings migrated to schema version', SETTINGS_SCHEMA_VERSION);
+  }
+  settings = state.settings;
   return settings;
 }
 
 // Save settings to storage
 async function saveSettings(newSettings) {
-  settings = sanitizeSettings({ ...settings, ...newSettings });
-  await chrome.storage.sync.set({ settings });
+  settings = await updateSettings(newSettings);
   return settings;
 }
 
-// Initialize settings on startup
-loadSettings().then(() => {
+// Initialize settings on startup (await settingsLoaded in handlers that can wake the worker)
+const settingsLoaded = loadSettings().then(() => {
   console.log('[ChatGPT Notifier] Settings loaded:', settings);
 });
 
@@ -142,12 +150,25 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'sync' && changes.settings) {
     settings = sanitizeSettings(changes.settings.newValue);
     console.log('[ChatGPT Notifier] Settings updated:', settings);
+    void applyHistoryRetention();
+    updateGlobalBadge(); // Badge mode may have changed
+    for (const tabId of monitoredTabs) {
+      chrome.tabs.sendMessage(tabId, { type: 'SET_GENERATION_LIMITS', ...getGenerationLimits() }).catch(() => {
+        // Content script not loaded; it gets the limits from GET_TAB_STATE when it is
+      });
+    }
   }
 });
 
-// Check if URL is a ChatGPT URL
-function isChatGPTUrl(url) {
-  return url && (url.includes('chatgpt.com') || url.includes('chat.openai.com'));
+// Check if URL belongs to a supported assistant site
+function isSupportedUrl(url) {
+  return !!getSiteAdapterForUrl(url);
+}
+
+// Display name of the site a tab belongs to
+function getSiteName(tabId) {
+  const site = getSiteAdapterById(tabsData.get(tabId)?.site);
+  return site ? site.name : 'ChatGPT';
 }
 
 // Create a new TabInfo object
@@ -159,17 +180,27 @@ function createTabInfo(tab, existingEphemeral = null) {
 
   // On first discovery, use Chrome's lastAccessed as a more useful baseline than "now".
   const baseline = normalizeTimestamp(tab.lastAccessed) || Date.now();
+  const site = getSiteAdapterForUrl(tab.url) || getSiteAdapterById('chatgpt');
 
   return {
     tabId: tab.id,
     windowId: tab.windowId,
     url: tab.url || '',
-    title: tab.title || 'ChatGPT',
+    title: tab.title || site.name,
+    site: site.id,
     isMonitored: monitoredTabs.has(tab.id),
     currentState: existingState || 'idle',
+    errorReason: existingState === 'error' ? normalizeErrorReason(existingEphemeral?.errorReason) : null,
+    attentionKind: existingState === 'needs_attention' ? normalizeAttentionKind(existingEphemeral?.attentionKind) : null,
+    autoContinue: false,
     stateChangedAt: existingStateChangedAt || baseline,
     lastMessageTime: existingLastMessageTime,  // Timestamp from ChatGPT API (more accurate)
     generationStartedAt: existingGenerationStartedAt,  // Timestamp when generation started (for timer display)
+    model: typeof existingEphemeral?.model === 'string' ? existingEphemeral.model : null,
+    reasoning: !!existingEphemeral?.reasoning,
+    visibilityState: null,
+    unread: !!existingEphemeral?.unread,
+    warning: GENERATION_WARNINGS[existingEphemeral?.warning] && existingGenerationStartedAt ? existingEphemeral.warning : null,
     completions: []
   };
 }
@@ -187,6 +218,38 @@ function updateTabState(tabId, state) {
   }
 }
 
+// Bring a tab to the front (and its window)
+async function focusTab(tabId, windowId) {
+  try {
+    await chrome.tabs.update(tabId, { active: true });
+    if (windowId) {
+      await chrome.windows.update(windowId, { focused: true });
+    }
+  } catch (e) {
+    console.error('[ChatGPT Notifier] Failed to focus tab:', e);
+  }
+}
+
+// Unread: a completion the user hasn't seen yet. Set on completion unless the page is in view,
+// cleared when the tab is activated or its page becomes visible.
+function setTabUnread(tabId, unread) {
+  const tab = tabsData.get(tabId);
+  if (!tab || tab.unread === unread) return;
+  tab.unread = unread;
+  if (!unread) {
+    void clearCompletionReminder(tabId);
+  }
+  persistEphemeralFields(tabId);
+  updateGlobalBadge();
+  broadcastTabsUpdate();
+}
+
+function markAllTabsRead() {
+  for (const tabId of tabsData.keys()) {
+    setTabUnread(tabId, false);
+  }
+}
+
 // Add a completion to tab history (keep last 5)
 function addCompletion(tabId, preview, duration) {
   const tab = tabsData.get(tabId);
@@ -206,6 +269,111 @@ function addCompletion(tabId, preview, duration) {
   saveTabsData();
 }
 
+// Record a completion in the durable history store (survives tab close)
+async function recordHistoryEntry(tabId, preview, duration, text) {
+  const tab = tabsData.get(tabId);
+  if (!tab) return;
+  try {
+    await addHistoryEntry({
+      timestamp: Date.now(),
+      site: tab.site,
+      title: tab.title,
+      url: tab.url,
+      conversationKey: getConversationKey(tab.url),
+      model: tab.model || null,
+      duration: duration || 0,
+      preview: preview || '',
+      text: text || preview || ''
+    });
+    await applyHistoryRetention();
+  } catch (e) {
+    console.warn('[ChatGPT Notifier] Failed to record history entry:', e);
+  }
+}
+
+// Log a generation outcome for the Stats view. Only monitored tabs report generations,
+// so stats cover monitored tabs only.
+async function recordGenerationEvent(tabId, outcome, duration, thinkingMs) {
+  const tab = tabsData.get(tabId);
+  if (!tab) return;
+  try {
+    await addGenerationEvent({
+      timestamp: Date.now(),
+      outcome: outcome,
+      site: tab.site,
+      conversationKey: getConversationKey(tab.url),
+      title: tab.title,
+      url: tab.url,
+      duration: duration || 0,
+      thinkingMs: thinkingMs || 0
+    });
+  } catch (e) {
+    console.warn('[ChatGPT Notifier] Failed to record generation event:', e);
+  }
+}
+
+async function applyHistoryRetention() {
+  try {
+    await pruneHistory({
+      maxEntries: settings.historyMaxEntries,
+      maxAgeDays: settings.historyRetentionDays
+    });
+  } catch (e) {
+    console.warn('[ChatGPT Notifier] Failed to prune history:', e);
+  }
+}
+
+// Export files are built here and downloaded by the popup as a Blob: a data: URL from the
+// service worker would hit Chrome's URL length cap once history holds full responses.
+// Returns { content, mimeType, filename }.
+
+// Every stored completion as JSON, CSV or Markdown (see HISTORY_EXPORT_FORMATS), plus the count
+async function exportHistory(format) {
+  const entries = await getAllHistoryEntries();
+  const { extension, mimeType } = HISTORY_EXPORT_FORMATS[format] || HISTORY_EXPORT_FORMATS.json;
+  return {
+    content: formatHistoryExport(entries, format),
+    mimeType: mimeType,
+    filename: `completion-history-${new Date().toISOString().slice(0, 10)}.${extension}`,
+    count: entries.length
+  };
+}
+
+// Settings and profiles for sharing (see importSettings)
+async function exportSettings() {
+  return {
+    content: formatSettingsExport(await loadSettingsState()),
+    mimeType: 'application/json',
+    filename: `notifier-settings-${new Date().toISOString().slice(0, 10)}.json`
+  };
+}
+
+// Build the webhook payload for a completion (see DEFAULT_WEBHOOK_TEMPLATE)
+function buildCompletionPayload(tabId, preview, duration) {
+  const tab = tabsData.get(tabId);
+  return {
+    site: getSiteName(tabId),
+    title: tab?.title || '',
+    url: tab?.url || '',
+    model: tab?.model || '',
+    duration: duration ? formatDuration(duration) : '',
+    durationMs: duration || 0,
+    preview: preview || '',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Focus a tab already showing the conversation, or open it in a new tab
+async function openConversation(url) {
+  const [existing] = await chrome.tabs.query({ url: url.split('#')[0] });
+  if (existing) {
+    await chrome.tabs.update(existing.id, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+  } else {
+    await chrome.tabs.create({ url });
+  }
+}
+
 // Broadcast tabs update to popup
 function broadcastTabsUpdate() {
   chrome.runtime.sendMessage({
@@ -216,11 +384,11 @@ function broadcastTabsUpdate() {
   });
 }
 
-// Discover all ChatGPT tabs
-async function discoverChatGPTTabs(ephemeralData = {}) {
+// Discover all tabs of supported assistant sites
+async function discoverSiteTabs(ephemeralData = {}) {
   try {
     const tabs = await chrome.tabs.query({
-      url: ['*://chatgpt.com/*', '*://chat.openai.com/*']
+      url: getAllSiteMatchPatterns()
     });
 
     for (const tab of tabs) {
@@ -228,7 +396,7 @@ async function discoverChatGPTTabs(ephemeralData = {}) {
         const existing = ephemeralData[String(tab.id)] || null;
         tabsData.set(tab.id, createTabInfo(tab, existing));
         persistEphemeralFields(tab.id);
-        console.log('[ChatGPT Notifier] Discovered ChatGPT tab:', tab.id, tab.title);
+        console.log('[ChatGPT Notifier] Discovered', tabsData.get(tab.id).site, 'tab:', tab.id, tab.title);
       } else {
         // Ensure legacy/older entries always have a usable timestamp
         const tabInfo = tabsData.get(tab.id);
@@ -242,6 +410,9 @@ async function discoverChatGPTTabs(ephemeralData = {}) {
       try {
         const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CONTENT_STATE' });
         if (response && response.state) {
+          const tabInfo = tabsData.get(tab.id);
+          tabInfo.errorReason = normalizeErrorReason(response.errorReason);
+          tabInfo.attentionKind = normalizeAttentionKind(response.attentionKind);
           updateTabState(tab.id, response.state);
         }
       } catch (e) {
@@ -255,22 +426,135 @@ async function discoverChatGPTTabs(ephemeralData = {}) {
   }
 }
 
-// Save tabs data to storage (only persistent fields)
+// Remember each tab's bell, auto-continue and recent completions under its conversation.
+// Only conversations that were monitored at some point are recorded, so auto-monitor still
+// applies to the rest. New chats without an ID yet live in the runtime mapping until they get one.
 function saveTabsData() {
-  const persistData = {};
-  for (const [tabId, tab] of tabsData) {
-    persistData[tabId] = {
-      isMonitored: tab.isMonitored,
-      completions: tab.completions
+  for (const tab of tabsData.values()) {
+    const key = getConversationKey(tab.url);
+    if (!key || (!tab.isMonitored && !tab.autoContinue && !conversations[key])) continue;
+    conversations[key] = {
+      monitored: tab.isMonitored,
+      autoContinue: !!tab.autoContinue,
+      completions: tab.completions,
+      updatedAt: Date.now()
+    };
+  }
+  saveConversations();
+}
+
+// Conversations
+// Preferences are keyed by conversation ('<site>:<id>', see getConversationKey) so they
+// survive browser restarts and follow a conversation into whichever tab shows it.
+
+// ConversationPrefs structure (chrome.storage.local 'conversations'):
+// {
+//   monitored: boolean,       // false also covers "Mute conversation" from a notification
+//   autoContinue: boolean,
+//   completions: [{ timestamp, duration, preview }], // last 5
+//   updatedAt: number
+// }
+
+const CONVERSATIONS_KEY = 'conversations';
+const CONVERSATIONS_LIMIT = 500; // Least recently updated are forgotten first
+
+let conversations = {}; // conversationKey -> ConversationPrefs
+
+async function loadConversations() {
+  const result = await chrome.storage.local.get([CONVERSATIONS_KEY]);
+  conversations = result[CONVERSATIONS_KEY] || {};
+}
+
+function saveConversations() {
+  const keys = Object.keys(conversations);
+  if (keys.length > CONVERSATIONS_LIMIT) {
+    keys.sort((a, b) => conversations[a].updatedAt - conversations[b].updatedAt)
+      .slice(0, keys.length - CONVERSATIONS_LIMIT)
+      .forEach(key => delete conversations[key]);
+  }
+  chrome.storage.local.set({ [CONVERSATIONS_KEY]: conversations });
+}
+
+// One-time move of the tab-keyed storage used by earlier versions ('monitoredTabs',
+// 'tabsDataPersist', 'mutedConversations'). Tab IDs from a previous browser session
+// can't be resolved to a conversation and are dropped.
+async function migrateTabKeyedStorage() {
+  const legacy = await chrome.storage.local.get(['monitoredTabs', 'tabsDataPersist', 'mutedConversations']);
+  if (!legacy.monitoredTabs && !legacy.tabsDataPersist && !legacy.mutedConversations) return;
+
+  const monitored = new Set(legacy.monitoredTabs || []);
+  const persisted = legacy.tabsDataPersist || {};
+  const tabIds = new Set([...monitored, ...Object.keys(persisted).map(Number)]);
+  for (const tabId of tabIds) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (e) {
+      continue; // Closed, or an ID from a previous browser session
+    }
+    const key = getConversationKey(tab.url);
+    if (!key) {
+      if (monitored.has(tabId)) monitoredTabs.add(tabId);
+      continue;
+    }
+    conversations[key] = {
+      monitored: monitored.has(tabId),
+      autoContinue: !!persisted[tabId]?.autoContinue,
+      completions: persisted[tabId]?.completions || [],
+      updatedAt: Date.now()
     };
   }
-  chrome.storage.local.set({ tabsDataPersist: persistData });
+  for (const key of legacy.mutedConversations || []) {
+    conversations[key] = { autoContinue: false, completions: [], ...conversations[key], monitored: false, updatedAt: Date.now() };
+  }
+
+  saveConversations();
+  saveMonitoredTabs();
+  await chrome.storage.local.remove(['monitoredTabs', 'tabsDataPersist', 'mutedConversations']);
+  console.log('[ChatGPT Notifier] Migrated tab-keyed storage to', Object.keys(conversations).length, 'conversations');
+}
+
+// Turn alerts on/off for one tab. Runtime only: callers save the conversation (saveTabsData).
+function setTabMonitored(tabId, monitored) {
+  const tab = tabsData.get(tabId);
+  if (monitored) {
+    monitoredTabs.add(tabId);
+  } else {
+    monitoredTabs.delete(tabId);
+    void clearCompletionReminder(tabId);
+  }
+  if (tab) {
+    tab.isMonitored = monitored;
+  }
+  saveMonitoredTabs();
+
+  const message = monitored
+    ? { type: 'START_MONITORING', ...getMonitoringOptions(tabId) }
+    : { type: 'STOP_MONITORING' };
+  chrome.tabs.sendMessage(tabId, message).catch(() => {
+    // Content script not loaded yet; it asks for GET_TAB_STATE when it is
+  });
+}
+
+// Options the content script monitors a tab with (START_MONITORING, and GET_TAB_STATE after a reload)
+function getMonitoringOptions(tabId) {
+  return {
+    stabilityWindowMs: settings.stabilityWindowMs,
+    autoContinue: !!tabsData.get(tabId)?.autoContinue,
+    ...getGenerationLimits()
+  };
 }
 
-// Load persisted tabs data
-async function loadPersistedTabsData() {
-  const result = await chrome.storage.local.get(['tabsDataPersist']);
-  return result.tabsDataPersist || {};
+// Bring a tab in line with the remembered preferences of the conversation it shows.
+// Returns false when there are none (new chat, or a conversation never monitored).
+function applyConversationPrefs(tabId) {
+  const tab = tabsData.get(tabId);
+  const prefs = tab && conversations[getConversationKey(tab.url)];
+  if (!prefs) return false;
+  tab.autoContinue = !!prefs.autoContinue;
+  tab.completions = prefs.completions || [];
+  setTabMonitored(tabId, prefs.monitored);
+  return true;
 }
 
 // Format duration in ms to human readable string
@@ -284,6 +568,24 @@ function formatDuration(ms) {
   return `${secs}s`;
 }
 
+// Create the offscreen document (audio + clipboard) if it isn't running
+async function ensureOffscreenDocument() {
+  // Check if offscreen document already exists
+  const existingContexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT']
+  });
+
+  if (existingContexts.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['AUDIO_PLAYBACK', 'CLIPBOARD'],
+      justification: 'Play notification sounds and copy responses from notification buttons'
+    });
+    // Wait a bit for the offscreen document to initialize
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
 // Play notification sound using offscreen document
 async function playSound(volume, sound) {
   try {
@@ -291,20 +593,7 @@ async function playSound(volume, sound) {
     const vol = volume !== undefined ? volume : settings.soundVolume;
     const snd = sound || settings.selectedSound;
 
-    // Check if offscreen document already exists
-    const existingContexts = await chrome.runtime.getContexts({
-      contextTypes: ['OFFSCREEN_DOCUMENT']
-    });
-
-    if (existingContexts.length === 0) {
-      await chrome.offscreen.createDocument({
-        url: 'offscreen.html',
-        reasons: ['AUDIO_PLAYBACK'],
-        justification: 'Play notification sound when ChatGPT response completes'
-      });
-      // Wait a bit for the offscreen document to initialize
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+    await ensureOffscreenDocument();
 
     chrome.runtime.sendMessage({ type: 'PLAY_SOUND', volume: vol, sound: snd }).catch(() => {
       // Offscreen document might not be ready yet, that's ok
@@ -314,68 +603,71 @@ async function playSound(volume, sound) {
   }
 }
 
-// Initialize from storage
-chrome.storage.local.get(['monitoredTabs'], (result) => {
-  if (result.monitoredTabs) {
-    result.monitoredTabs.forEach(tabId => monitoredTabs.add(tabId));
+// Restore the runtime tab mapping after a service worker restart
+async function loadMonitoredTabs() {
+  try {
+    const result = await getEphemeralStorageArea().get([MONITORED_TAB_IDS_KEY]);
+    (result[MONITORED_TAB_IDS_KEY] || []).forEach(tabId => monitoredTabs.add(tabId));
+  } catch (e) {
+    // Best-effort; conversation preferences are applied below anyway
   }
-});
+}
 
 // Initialize tabs data on startup
 async function initializeTabsData() {
-  // Load persisted data (monitoring state + completions)
-  const persistedData = await loadPersistedTabsData();
+  await settingsLoaded;
+  await loadConversations();
+  await loadMonitoredTabs();
+  await migrateTabKeyedStorage();
   const ephemeralData = await loadEphemeralTabsData();
 
-  // Discover all current ChatGPT tabs
-  await discoverChatGPTTabs(ephemeralData);
+  // Discover all current assistant tabs
+  await discoverSiteTabs(ephemeralData);
 
-  // Merge persisted completions and monitoring state
-  for (const [tabIdStr, data] of Object.entries(persistedData)) {
-    const tabId = parseInt(tabIdStr);
-    if (tabsData.has(tabId)) {
-      const tab = tabsData.get(tabId);
-      tab.completions = data.completions || [];
-      // isMonitored is already synced from monitoredTabs Set
-    }
+  // Apply remembered conversation preferences (bell, auto-continue, completions)
+  for (const tabId of tabsData.keys()) {
+    applyConversationPrefs(tabId);
   }
 
   console.log('[ChatGPT Notifier] Tabs data initialized:', tabsData.size, 'tabs');
+  broadcastTabsUpdate();
   updateGlobalBadge();
 }
 
-// Run initialization
-initializeTabsData();
+// Run initialization (await tabsReady in handlers that depend on monitoring state)
+const tabsReady = initializeTabsData();
 
-// Save monitored tabs to storage
+// Save the runtime tab mapping (tab IDs are only valid for this browser session)
 function saveMonitoredTabs() {
-  chrome.storage.local.set({ monitoredTabs: Array.from(monitoredTabs) });
+  void getEphemeralStorageArea().set({ [MONITORED_TAB_IDS_KEY]: Array.from(monitoredTabs) });
 }
 
 // Update global badge with count of active (generating) tabs
 function updateGlobalBadge() {
   const activeStates = ['generating', 'thinking', 'writing'];
-  let activeCount = 0;
+  const unreadMode = settings.badgeMode === 'unread';
+  let count = 0;
 
   for (const tab of tabsData.values()) {
-    if (activeStates.includes(tab.currentState)) {
-      activeCount++;
+    if (unreadMode ? tab.unread : activeStates.includes(tab.currentState)) {
+      count++;
     }
   }
 
-  if (activeCount > 0) {
-    // Show count of active sessions
-    const text = activeCount.toString();
+  if (count > 0) {
+    // Show count of active sessions (or unread completions)
+    const text = count.toString();
+    const color = unreadMode ? '#2196F3' : '#FF9800'; // Blue for unread, orange for active
     chrome.action.setBadgeText({ text });
-    chrome.action.setBadgeBackgroundColor({ color: '#FF9800' }); // Orange for active
+    chrome.action.setBadgeBackgroundColor({ color });
 
     // Ensure any historical per-tab badge values don't override the global count.
     for (const tab of tabsData.values()) {
       chrome.action.setBadgeText({ text, tabId: tab.tabId });
-      chrome.action.setBadgeBackgroundColor({ color: '#FF9800', tabId: tab.tabId });
+      chrome.action.setBadgeBackgroundColor({ color, tabId: tab.tabId });
     }
   } else {
-    // Clear badge when no active sessions
+    // Clear badge when nothing to count
     chrome.action.setBadgeText({ text: '' });
 
     // Clear per-tab values too (keeps behavior consistent across focused tabs).
@@ -393,20 +685,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'GENERATION_COMPLETE':
       if (tabId) {
         // Update tabsData state and add completion
+        if (message.visibilityState && tabsData.has(tabId)) {
+          tabsData.get(tabId).visibilityState = message.visibilityState;
+        }
         updateTabState(tabId, 'completed');
         addCompletion(tabId, message.preview, message.duration);
+        // Finished in front of the user: nothing to catch up on
+        setTabUnread(tabId, message.visibilityState !== 'visible');
+        void recordHistoryEntry(tabId, message.preview, message.duration, message.text);
+        void recordGenerationEvent(tabId, 'completed', message.duration, message.thinkingMs);
         broadcastTabsUpdate();
 
         // Only notify if monitored
         if (monitoredTabs.has(tabId)) {
-          // Show notification if enabled
-          if (settings.notificationsEnabled) {
-            showNotification(message.preview, tabId, message.duration);
-          }
-          // Play notification sound if enabled
-          if (settings.soundEnabled) {
-            playSound();
-          }
+          void handleCompletionAlerts(tabId, message.preview, message.duration);
+        }
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'GENERATION_ERROR':
+      if (tabId && tabsData.has(tabId)) {
+        const tabInfo = tabsData.get(tabId);
+        if (message.visibilityState) {
+          tabInfo.visibilityState = message.visibilityState;
+        }
+        tabInfo.errorReason = normalizeErrorReason(message.reason) || 'server';
+        tabInfo.generationStartedAt = null;
+        updateTabState(tabId, 'error');
+        persistEphemeralFields(tabId);
+        void recordGenerationEvent(tabId, 'error', message.duration, message.thinkingMs);
+        broadcastTabsUpdate();
+
+        if (monitoredTabs.has(tabId)) {
+          void alertError(tabId, tabInfo.errorReason);
+          void dispatchWebhooks('error', {
+            ...buildCompletionPayload(tabId, '', message.duration),
+            reason: tabInfo.errorReason
+          });
+        }
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'NEEDS_ATTENTION':
+      if (tabId && tabsData.has(tabId) && normalizeAttentionKind(message.kind)) {
+        const tabInfo = tabsData.get(tabId);
+        if (message.visibilityState) {
+          tabInfo.visibilityState = message.visibilityState;
+        }
+        tabInfo.attentionKind = message.kind;
+        updateTabState(tabId, 'needs_attention');
+        persistEphemeralFields(tabId);
+        if (message.ended) {
+          // Mid-generation approvals are counted when the generation ends
+          void recordGenerationEvent(tabId, 'needs_attention', message.duration, message.thinkingMs);
+        }
+        broadcastTabsUpdate();
+
+        if (monitoredTabs.has(tabId)) {
+          void alertAttention(tabId, message.kind);
+          void dispatchWebhooks('needs_attention', {
+            ...buildCompletionPayload(tabId, '', message.duration),
+            reason: message.kind
+          });
         }
       }
       sendResponse({ success: true });
@@ -417,6 +759,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         updateTabState(tabId, message.state);
         // Store generation start time for timer display
         const tabInfo = tabsData.get(tabId);
+        tabInfo.errorReason = message.state === 'error'
+          ? normalizeErrorReason(message.errorReason) || tabInfo.errorReason
+          : null;
+        tabInfo.attentionKind = message.state === 'needs_attention'
+          ? normalizeAttentionKind(message.attentionKind) || tabInfo.attentionKind
+          : null;
         if (['generating', 'thinking', 'writing'].includes(message.state)) {
           // Only set if not already set (preserve original start time)
           if (!tabInfo.generationStartedAt) {
@@ -425,6 +773,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         } else {
           // Clear when not generating
           tabInfo.generationStartedAt = null;
+          tabInfo.warning = null;
         }
         persistEphemeralFields(tabId);
         broadcastTabsUpdate();
@@ -432,6 +781,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'GENERATION_WARNING':
+      if (tabId && tabsData.has(tabId)) {
+        const tabInfo = tabsData.get(tabId);
+        tabInfo.warning = GENERATION_WARNINGS[message.warning] ? message.warning : null;
+        persistEphemeralFields(tabId);
+        broadcastTabsUpdate();
+        if (tabInfo.warning && message.alert && monitoredTabs.has(tabId)) {
+          void alertGenerationWarning(tabId, tabInfo.warning, message);
+        }
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'VISIBILITY_CHANGE':
+      if (tabId && tabsData.has(tabId)) {
+        const tabInfo = tabsData.get(tabId);
+        tabInfo.visibilityState = message.visibilityState;
+        if (message.visibilityState === 'visible') {
+          setTabUnread(tabId, false);
+        }
+      }
+      sendResponse({ success: true });
+      break;
+
     case 'CONVERSATION_TIMESTAMP':
       // Received real timestamp from ChatGPT API (via fetch interceptor)
       if (tabId && tabsData.has(tabId)) {
@@ -444,27 +817,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'CONVERSATION_MODEL':
+      // Model slug from the ChatGPT API (via fetch interceptor)
+      if (tabId && tabsData.has(tabId) && typeof message.model === 'string' && message.model) {
+        const tabInfo = tabsData.get(tabId);
+        const model = message.model.slice(0, 64);
+        if (tabInfo.model !== model || tabInfo.reasoning !== !!message.reasoning) {
+          tabInfo.model = model;
+          tabInfo.reasoning = !!message.reasoning;
+          persistEphemeralFields(tabId);
+          broadcastTabsUpdate();
+          void rememberModel(model);
+        }
+      }
+      sendResponse({ success: true });
+      break;
+
     case 'GET_ALL_TABS':
       sendResponse({ tabs: Array.from(tabsData.values()) });
       break;
 
     case 'FOCUS_TAB':
       if (message.tabId) {
-        chrome.tabs.update(message.tabId, { active: true }).then(() => {
-          if (message.windowId) {
-            chrome.windows.update(message.windowId, { focused: true });
-          }
-        }).catch(e => {
-          console.error('[ChatGPT Notifier] Failed to focus tab:', e);
-        });
+        void focusTab(message.tabId, message.windowId);
         sendResponse({ success: true });
       }
       break;
 
-    case 'GET_TAB_STATE':
-      sendResponse({ isMonitored: tabId ? monitoredTabs.has(tabId) : false });
+    case 'MARK_ALL_READ':
+      markAllTabsRead();
+      sendResponse({ success: true });
       break;
 
+    case 'GET_TAB_STATE':
+      // Content scripts ask on load, possibly before startup has applied conversation preferences
+      tabsReady.then(() => {
+        const isMonitored = tabId ? monitoredTabs.has(tabId) : false;
+        sendResponse({ isMonitored: isMonitored, options: isMonitored ? getMonitoringOptions(tabId) : null });
+      });
+      return true; // Keep channel open for async response
+
     case 'TOGGLE_MONITORING':
       if (message.tabId) {
         toggleMonitoring(message.tabId).then(result => {
@@ -474,6 +866,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
 
+    case 'SET_AUTO_CONTINUE':
+      if (message.tabId && tabsData.has(message.tabId)) {
+        const tabInfo = tabsData.get(message.tabId);
+        tabInfo.autoContinue = !!message.enabled;
+        saveTabsData();
+        broadcastTabsUpdate();
+        chrome.tabs.sendMessage(message.tabId, { type: 'SET_AUTO_CONTINUE', enabled: tabInfo.autoContinue }).catch(() => {
+          // Content script not loaded; START_MONITORING carries the flag
+        });
+        sendResponse({ autoContinue: tabInfo.autoContinue });
+      }
+      break;
+
     case 'GET_MONITORING_STATE':
       if (message.tabId) {
         sendResponse({ isMonitored: monitoredTabs.has(message.tabId) });
@@ -495,113 +900,969 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       playSound(message.volume, message.sound);
       sendResponse({ success: true });
       break;
-  }
 
-  return true;
-});
+    case 'GET_LATEST_RESPONSE':
+      // Full text of a tab's last completion for the popup's expanded row
+      getLatestResponseText(message.tabId, message.since).then(text => {
+        sendResponse({ text: text });
+      });
+      return true; // Keep channel open for async response
 
-// Toggle monitoring for a tab
-async function toggleMonitoring(tabId) {
-  const isCurrentlyMonitored = monitoredTabs.has(tabId);
+    case 'QUERY_HISTORY':
+      queryHistory(message.query).then(result => {
+        sendResponse(result);
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to query history:', e);
+        sendResponse({ entries: [], total: 0 });
+      });
+      return true; // Keep channel open for async response
 
-  if (isCurrentlyMonitored) {
-    // Stop monitoring
-    monitoredTabs.delete(tabId);
+    case 'CLEAR_HISTORY':
+      clearHistory().then(() => {
+        sendResponse({ success: true });
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to clear history:', e);
+        sendResponse({ success: false });
+      });
+      return true; // Keep channel open for async response
 
-    // Update tabsData
-    const tab = tabsData.get(tabId);
-    if (tab) {
-      tab.isMonitored = false;
-      saveTabsData();
-      broadcastTabsUpdate();
-    }
+    case 'EXPORT_HISTORY':
+      exportHistory(message.format).then(file => {
+        sendResponse({ success: true, file: file });
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to export history:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+      return true; // Keep channel open for async response
 
-    try {
-      await chrome.tabs.sendMessage(tabId, { type: 'STOP_MONITORING' });
-    } catch (e) {
-      // Tab might not have content script loaded
-    }
+    case 'EXPORT_SETTINGS':
+      exportSettings().then(file => {
+        sendResponse({ success: true, file: file });
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to export settings:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+      return true; // Keep channel open for async response
 
-    saveMonitoredTabs();
-    return { isMonitored: false };
-  } else {
-    // Start monitoring
-    monitoredTabs.add(tabId);
+    case 'IMPORT_HISTORY':
+      settingsLoaded.then(() => importHistory(message.data, {
+        maxEntries: settings.historyMaxEntries,
+        maxAgeDays: settings.historyRetentionDays
+      })).then(result => {
+        sendResponse({ success: true, ...result });
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to import history:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+      return true; // Keep channel open for async response
 
-    // Update tabsData
-    const tab = tabsData.get(tabId);
-    if (tab) {
-      tab.isMonitored = true;
-      saveTabsData();
-      broadcastTabsUpdate();
-    }
+    case 'GET_STATS':
+      computeStats(message.days || 7).then(stats => {
+        sendResponse(stats);
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to compute stats:', e);
+        sendResponse(null);
+      });
+      return true; // Keep channel open for async response
 
-    try {
-      await chrome.tabs.sendMessage(tabId, { type: 'START_MONITORING', stabilityWindowMs: settings.stabilityWindowMs });
-    } catch (e) {
-      // Tab might not have content script loaded yet
-      console.error('Failed to start monitoring:', e);
-    }
+    case 'CLEAR_STATS':
+      clearGenerationEvents().then(() => {
+        sendResponse({ success: true });
+      }).catch(e => {
+        console.error('[ChatGPT Notifier] Failed to clear stats:', e);
+        sendResponse({ success: false });
+      });
+      return true; // Keep channel open for async response
 
-    saveMonitoredTabs();
-    return { isMonitored: true };
-  }
-}
+    case 'TEST_WEBHOOK':
+      // "Send test" from settings: deliver a sample payload and report the outcome
+      deliverWebhook(message.webhook, {
+        event: 'test',
+        site: 'ChatGPT',
+        title: 'Test conversation',
+        url: 'https://chatgpt.com/',
+        model: 'gpt-4o',
+        duration: formatDuration(42000),
+        durationMs: 42000,
+        preview: 'This is a test message from ChatGPT Completion Notifier.',
+        timestamp: new Date().toISOString()
+      }).then(entry => {
+        sendResponse(entry);
+      });
+      return true; // Keep channel open for async response
 
-// Show notification
-function showNotification(preview, tabId, duration) {
-  const notificationId = `chatgpt-done-${tabId}-${Date.now()}`;
+    case 'SET_SNOOZE':
+      setSnooze(message.until).then(() => {
+        sendResponse({ snoozeUntil: message.until || null });
+      });
+      return true; // Keep channel open for async response
 
-  // Build message with optional duration and preview length
-  let message = 'Your ChatGPT response is complete!';
-  if (preview && settings.previewLength > 0) {
-    // Truncate preview to setting length
-    message = preview.length > settings.previewLength
-      ? preview.substring(0, settings.previewLength) + '...'
-      : preview;
-  }
-  if (duration) {
-    message = `(${formatDuration(duration)}) ${message}`;
-  }
+    case 'GET_TTS_STATE':
+      sendResponse({ speaking: isSpeaking });
+      break;
 
-  chrome.notifications.create(notificationId, {
-    type: 'basic',
-    iconUrl: 'icons/icon128.png',
-    title: 'ChatGPT Response Ready',
-    message: message,
-    priority: 2,
-    requireInteraction: false
-  });
+    case 'STOP_SPEAKING':
+      chrome.tts.stop();
+      setSpeaking(false);
+      sendResponse({ success: true });
+      break;
 
-  // Click notification to focus the tab
-  chrome.notifications.onClicked.addListener(function handler(clickedId) {
-    if (clickedId === notificationId) {
-      chrome.tabs.update(tabId, { active: true });
-      // Get the tab's window and focus it
-      chrome.tabs.get(tabId).then(tab => {
-        if (tab.windowId) {
-          chrome.windows.update(tab.windowId, { focused: true });
-        }
-      }).catch(() => {});
-      chrome.notifications.onClicked.removeListener(handler);
-    }
+    case 'SPEAK_PREVIEW':
+      // Voice preview from settings (uses the unsaved voice/rate chosen in the popup)
+      chrome.tts.speak('Your response is ready.', {
+        voiceName: message.voice || undefined,
+        rate: message.rate,
+        volume: settings.soundVolume
+      });
+      sendResponse({ success: true });
+      break;
+
+    case 'OPEN_CONVERSATION':
+      if (message.url) {
+        openConversation(message.url).catch(e => {
+          console.error('[ChatGPT Notifier] Failed to open conversation:', e);
+        });
+        sendResponse({ success: true });
+      }
+      break;
+  }
+
+  return true;
+});
+
+// Set the bell for a conversation on every tab showing it (just this tab for a new chat)
+function setConversationMonitored(tabId, monitored) {
+  const key = getConversationKey(tabsData.get(tabId)?.url);
+  for (const tab of tabsData.values()) {
+    if (tab.tabId === tabId || (key && getConversationKey(tab.url) === key)) {
+      setTabMonitored(tab.tabId, monitored);
+    }
+  }
+  saveTabsData();
+  broadcastTabsUpdate();
+}
+
+// Toggle monitoring for a tab's conversation
+async function toggleMonitoring(tabId) {
+  await tabsReady;
+  const monitored = !monitoredTabs.has(tabId);
+  setConversationMonitored(tabId, monitored);
+  return { isMonitored: monitored };
+}
+
+// Quiet Hours & Snooze
+
+const SNOOZE_KEY = 'snoozeUntil';
+const QUIET_QUEUE_KEY = 'quietCompletions';
+const QUIET_END_ALARM = 'quiet-hours-end';
+
+// "HH:MM" -> minutes since midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value || '').split(':').map(Number);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+  return hours * 60 + minutes;
+}
+
+// End timestamp of the quiet-hours window containing `now`, or null if not in one.
+// Windows may cross midnight (22:00-07:00); the day list refers to the day a window starts.
+function getQuietHoursEnd(now = new Date()) {
+  if (!settings.quietHoursEnabled) return null;
+  const start = parseTimeOfDay(settings.quietHoursStart);
+  const end = parseTimeOfDay(settings.quietHoursEnd);
+  if (start === null || end === null) return null;
+
+  const days = settings.quietHoursDays || [];
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const yesterday = (today + 6) % 7;
+  const endAt = (dayOffset) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() + dayOffset);
+    date.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    return date.getTime();
+  };
+
+  if (start < end) {
+    return days.includes(today) && minutes >= start && minutes < end ? endAt(0) : null;
+  }
+  // Overnight (or full-day when start === end)
+  if (days.includes(today) && minutes >= start) return endAt(1);
+  if (days.includes(yesterday) && minutes < end) return endAt(0);
+  return null;
+}
+
+async function getSnoozeUntil() {
+  const result = await chrome.storage.local.get([SNOOZE_KEY]);
+  const until = normalizeTimestamp(result[SNOOZE_KEY]);
+  return until && until > Date.now() ? until : null;
+}
+
+// When alerts are muted by snooze or quiet hours, returns the time they resume
+async function getAlertsMutedUntil() {
+  const snoozeUntil = await getSnoozeUntil();
+  const quietEnd = getQuietHoursEnd();
+  if (!snoozeUntil && !quietEnd) return null;
+  return Math.max(snoozeUntil || 0, quietEnd || 0);
+}
+
+async function setSnooze(until) {
+  const snoozeUntil = normalizeTimestamp(until);
+  await chrome.storage.local.set({ [SNOOZE_KEY]: snoozeUntil });
+  console.log('[ChatGPT Notifier] Snooze', snoozeUntil ? 'until ' + new Date(snoozeUntil).toLocaleString() : 'cleared');
+  // Resuming early (or shortening) should summarize right away if the window is over
+  await scheduleQuietSummary();
+}
+
+// Remember a completion that was muted, to summarize when alerts resume.
+// note describes an interrupted generation instead (e.g. 'Failed (Usage limit)').
+async function queueQuietCompletion(tabId, note = null) {
+  const tab = tabsData.get(tabId);
+  const result = await chrome.storage.local.get([QUIET_QUEUE_KEY]);
+  const queue = result[QUIET_QUEUE_KEY] || [];
+  queue.push({
+    tabId: tabId,
+    title: tab?.title || getSiteName(tabId),
+    site: tab?.site || 'chatgpt',
+    note: note,
+    timestamp: Date.now()
+  });
+  await chrome.storage.local.set({ [QUIET_QUEUE_KEY]: queue });
+  await scheduleQuietSummary();
+}
+
+// Fire the summary when alerts resume (alarm survives service worker suspension)
+async function scheduleQuietSummary() {
+  await settingsLoaded;
+  const mutedUntil = await getAlertsMutedUntil();
+  if (mutedUntil) {
+    chrome.alarms.create(QUIET_END_ALARM, { when: mutedUntil });
+  } else {
+    chrome.alarms.clear(QUIET_END_ALARM);
+    await flushQuietSummary();
+  }
+}
+
+async function flushQuietSummary() {
+  const result = await chrome.storage.local.get([QUIET_QUEUE_KEY]);
+  const queue = result[QUIET_QUEUE_KEY] || [];
+  if (queue.length === 0) return;
+  await chrome.storage.local.remove(QUIET_QUEUE_KEY);
+
+  const count = queue.length;
+  const notificationId = `chatgpt-quiet-summary-${Date.now()}`;
+  // Clicking the summary opens the most recent of the muted completions
+  const latest = queue[queue.length - 1];
+  await registerNotification(notificationId, {
+    tabId: latest.tabId,
+    url: tabsData.get(latest.tabId)?.url || null,
+    actions: []
+  });
+  chrome.notifications.create(notificationId, {
+    type: 'list',
+    iconUrl: 'icons/icon128.png',
+    title: `${count} ${count === 1 ? 'response' : 'responses'} finished while alerts were muted`,
+    message: '',
+    items: queue.slice(0, 5).map(entry => {
+      const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return {
+        title: entry.title,
+        message: entry.note ? `${entry.note} · ${time}` : time
+      };
+    }),
+    priority: 1
+  });
+  console.log('[ChatGPT Notifier] Quiet hours summary shown for', count, 'completions');
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === QUIET_END_ALARM) {
+    // Reschedules itself if snooze/quiet hours were extended meanwhile
+    void scheduleQuietSummary();
+  } else if (alarm.name.startsWith(REMINDER_ALARM_PREFIX)) {
+    const [tabId, count] = alarm.name.slice(REMINDER_ALARM_PREFIX.length).split(':').map(Number);
+    void sendCompletionReminder(tabId, count);
+  }
+});
+
+// Mute a conversation from a notification: turn off its bell (remembered, so auto-monitor
+// leaves it alone) until the bell is turned back on. Works when no tab shows it anymore.
+async function muteConversation(conversationKey) {
+  if (!conversationKey) return;
+  await tabsReady;
+  conversations[conversationKey] = {
+    autoContinue: false,
+    completions: [],
+    ...conversations[conversationKey],
+    monitored: false,
+    updatedAt: Date.now()
+  };
+  const tab = Array.from(tabsData.values()).find(t => getConversationKey(t.url) === conversationKey);
+  if (tab) {
+    setConversationMonitored(tab.tabId, false);
+  } else {
+    saveConversations();
+  }
+  console.log('[ChatGPT Notifier] Conversation muted:', conversationKey);
+}
+
+// Whether the user is already looking at the tab, per the alertFocusMode setting
+async function isTabBeingWatched(tabId) {
+  const mode = settings.alertFocusMode;
+  if (mode === 'always') return false;
+
+  try {
+    const focusedWindow = await chrome.windows.getLastFocused();
+    const chromeFocused = !!focusedWindow?.focused;
+    if (mode === 'unfocused') {
+      return chromeFocused;
+    }
+
+    // 'hidden': only when the tab is the active tab of the focused window and its page is visible
+    const tab = await chrome.tabs.get(tabId);
+    const visibilityState = tabsData.get(tabId)?.visibilityState;
+    return chromeFocused && tab.active && tab.windowId === focusedWindow.id && visibilityState !== 'hidden';
+  } catch (e) {
+    return false; // Tab or window gone; alert to be safe
+  }
+}
+
+// Alerts are skipped for the tab the user is watching
+async function shouldSkipAlert(tabId) {
+  if (await isTabBeingWatched(tabId)) {
+    console.log('[ChatGPT Notifier] Tab', tabId, 'is being watched, skipping alert');
+    return true;
+  }
+  return false;
+}
+
+// Alert Rules
+
+// What the alert rules see of a completion (see rules.js)
+async function buildRuleContext(tabId, preview, duration, rules) {
+  const tab = tabsData.get(tabId);
+  return {
+    title: tab?.title || '',
+    url: tab?.url || '',
+    text: rulesUseResponseText(rules) ? await getFullResponseText(tabId, preview) : (preview || ''),
+    model: tab?.model || '',
+    durationMs: duration || 0
+  };
+}
+
+// Announce a completion on a monitored tab as decided by the first matching rule,
+// else by the default for the tab's model
+async function handleCompletionAlerts(tabId, preview, duration) {
+  await settingsLoaded;
+  const rules = await loadRules();
+  const rule = findMatchingRule(rules, await buildRuleContext(tabId, preview, duration, rules));
+  const action = rule ? rule.action : getModelDefaultAction(settings.modelActions, tabsData.get(tabId)?.model);
+  if (rule) {
+    console.log('[ChatGPT Notifier] Alert rule matched:', rule.name, '->', action);
+  }
+
+  if (action === 'suppress') return;
+  if (action !== 'webhook') {
+    void alertCompletion(tabId, preview, duration, action);
+  }
+  void dispatchWebhooks('completed', buildCompletionPayload(tabId, preview, duration));
+}
+
+// Notify and/or play a sound for a completed response, honoring focus, snooze and quiet hours.
+// action: 'notify' | 'sound' (no notification) | 'silent' (no sound), from the alert rules
+async function alertCompletion(tabId, preview, duration, action = 'notify') {
+  await settingsLoaded;
+  if (await shouldSkipAlert(tabId)) return;
+
+  const notify = settings.notificationsEnabled && action !== 'sound';
+  const withSound = settings.soundEnabled && action !== 'silent';
+
+  const mutedUntil = await getAlertsMutedUntil();
+  if (mutedUntil) {
+    await queueQuietCompletion(tabId);
+    if (settings.quietHoursMode === 'silent' && notify) {
+      showNotification(preview, tabId, duration, { silent: true });
+    }
+    return;
+  }
+
+  if (settings.reminderEnabled && tabsData.get(tabId)?.unread) {
+    void scheduleCompletionReminder(tabId, 1);
+  }
+
+  // Part of a burst (e.g. the same prompt fanned out to several tabs): merge into one alert
+  const openBatch = completionBatch;
+  if (openBatch && Date.now() - openBatch.lastAt < settings.coalesceWindowSec * 1000) {
+    openBatch.lastAt = Date.now();
+    if (withSound && !openBatch.soundPlayed) {
+      openBatch.soundPlayed = true;
+      playSound();
+    }
+    if (notify) {
+      await addToCompletionBatch(openBatch, tabId, preview);
+    }
+    return;
+  }
+  // Start a new burst before anything async, so completions right behind this one join it
+  const batch = settings.coalesceWindowSec > 0 ? {
+    notificationId: null,
+    items: notify ? [{ tabId: tabId, preview: preview || '' }] : [],
+    soundPlayed: withSound,
+    lastAt: Date.now(),
+    pending: Promise.resolve()
+  } : null;
+  completionBatch = batch;
+
+  // Show notification if enabled
+  if (notify) {
+    const shown = showNotification(preview, tabId, duration, { silent: action === 'silent' });
+    if (batch) {
+      batch.pending = shown.then(notificationId => {
+        batch.notificationId = notificationId;
+      });
+    }
+  }
+  // Play notification sound if enabled
+  if (withSound) {
+    playSound();
+  }
+  // Read the response aloud if enabled
+  if (settings.ttsEnabled && action === 'notify') {
+    void speakCompletion(tabId, preview);
+  }
+}
+
+// Generation Warnings
+// The content script flags generations that stall or run long (thresholds from settings);
+// the popup marks the row and a monitored tab gets one notification per warning.
+
+// Warning -> label (popup marker, notifications)
+const GENERATION_WARNINGS = {
+  stalled: 'Stalled',
+  long_running: 'Still running'
+};
+
+// Thresholds for the content script, 0 = off
+function getGenerationLimits() {
+  return {
+    stallTimeoutMs: settings.stallTimeoutSec * 1000,
+    longRunningMs: settings.longRunningAlertMin * 60000
+  };
+}
+
+// Nothing ended, so unlike failures nothing is queued for the quiet-hours summary
+async function alertGenerationWarning(tabId, warning, details) {
+  await settingsLoaded;
+  if (await shouldSkipAlert(tabId) || await getAlertsMutedUntil()) return;
+
+  const siteName = getSiteName(tabId);
+  const alert = warning === 'stalled' ? {
+    title: `${siteName} Response Stalled`,
+    message: `No progress for ${formatDuration(details.stalledMs)}. It may be stuck; check the tab or regenerate.`,
+    note: GENERATION_WARNINGS.stalled,
+    sound: settings.errorSound
+  } : {
+    title: `${siteName} Still Generating`,
+    message: `Running for ${formatDuration(details.elapsedMs)} and not done yet.`,
+    note: GENERATION_WARNINGS.long_running,
+    sound: settings.attentionSound
+  };
+
+  if (settings.notificationsEnabled) {
+    showInterruptionNotification(tabId, alert);
+  }
+  if (settings.soundEnabled) {
+    playSound(undefined, alert.sound);
+  }
+}
+
+// Alert for a generation that stopped short of an answer (failed, or waiting for the user).
+// alert: { title, message, note (quiet-hours summary line), sound, requireInteraction }
+async function alertInterruption(tabId, alert) {
+  if (await shouldSkipAlert(tabId)) return;
+
+  const mutedUntil = await getAlertsMutedUntil();
+  if (mutedUntil) {
+    await queueQuietCompletion(tabId, alert.note);
+    if (settings.quietHoursMode === 'silent' && settings.notificationsEnabled) {
+      showInterruptionNotification(tabId, alert, { silent: true });
+    }
+    return;
+  }
+
+  if (settings.notificationsEnabled) {
+    showInterruptionNotification(tabId, alert);
+  }
+  if (settings.soundEnabled) {
+    playSound(undefined, alert.sound);
+  }
+}
+
+// What to tell the user for each error reason
+const ERROR_NOTIFICATION_MESSAGES = {
+  network: 'The connection dropped before the response finished. Check your network and retry.',
+  server: 'Something went wrong while generating the response. Retry the message.',
+  usage_limit: 'You have hit a usage limit. Wait for it to reset or switch models, then retry.'
+};
+
+// Failed generation: tell the user to retry
+async function alertError(tabId, reason) {
+  await settingsLoaded;
+  if (!settings.errorAlertsEnabled) return;
+  const label = ERROR_REASON_LABELS[reason] || 'Error';
+  await alertInterruption(tabId, {
+    title: `${getSiteName(tabId)} Response Failed (${label})`,
+    message: ERROR_NOTIFICATION_MESSAGES[reason] || ERROR_NOTIFICATION_MESSAGES.server,
+    note: `Failed (${label})`,
+    sound: settings.errorSound,
+    requireInteraction: false
+  });
+}
+
+const ATTENTION_NOTIFICATION_MESSAGES = {
+  continue: 'The response was cut off. Click "Continue generating" to finish it.',
+  approval: 'An action is waiting for your approval.',
+  question: 'The assistant asked a question before it continues.'
+};
+
+// Generation paused for the user: stays on screen until handled
+async function alertAttention(tabId, kind) {
+  await settingsLoaded;
+  if (!settings.attentionAlertsEnabled) return;
+  await alertInterruption(tabId, {
+    title: `${getSiteName(tabId)} Needs Your Input`,
+    message: ATTENTION_NOTIFICATION_MESSAGES[kind],
+    note: ATTENTION_LABELS[kind],
+    sound: settings.attentionSound,
+    requireInteraction: true
+  });
+}
+
+// Text-to-Speech
+
+let isSpeaking = false;
+
+function setSpeaking(speaking) {
+  if (isSpeaking === speaking) return;
+  isSpeaking = speaking;
+  chrome.runtime.sendMessage({ type: 'TTS_STATE', speaking: speaking }).catch(() => {
+    // Popup not open, that's ok
+  });
+}
+
+// First `count` sentences of a response, flattened to one line
+function getLeadingSentences(text, count) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const sentences = flat.match(/[^.!?]+[.!?]+(?=\s|$)|[^.!?]+$/g) || [];
+  return sentences.slice(0, count).join(' ').trim();
+}
+
+function speak(text) {
+  chrome.tts.speak(text, {
+    voiceName: settings.ttsVoice || undefined,
+    rate: settings.ttsRate,
+    volume: settings.soundVolume,
+    onEvent: (event) => {
+      if (event.type === 'start') {
+        setSpeaking(true);
+      } else if (['end', 'interrupted', 'cancelled', 'error'].includes(event.type)) {
+        setSpeaking(false);
+      }
+    }
+  });
+}
+
+// Speak the conversation title and the first sentences of its response
+async function speakCompletion(tabId, preview) {
+  const text = await getFullResponseText(tabId, preview);
+  const title = tabsData.get(tabId)?.title || getSiteName(tabId);
+  const sentences = getLeadingSentences(text, settings.ttsMaxSentences);
+  speak(sentences ? `${title}. ${sentences}` : `${title} is ready.`);
+}
+
+// Notification Router
+// One set of global listeners maps notification IDs to their tab/conversation context.
+// Contexts live in ephemeral storage so clicks still work after a service worker restart.
+
+const NOTIFICATION_CONTEXTS_KEY = 'notificationContexts';
+const NOTIFICATION_CONTEXT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Button actions, in display order (Chrome shows at most two buttons; clicking the body opens)
+const NOTIFICATION_ACTIONS = {
+  copy: 'Copy response',
+  mute: 'Mute conversation'
+};
+
+// NotificationContext structure:
+// {
+//   tabId: number,
+//   url: string|null,          // to reopen the conversation if the tab is gone
+//   conversationKey: string|null,
+//   preview: string,           // copied if the full response can't be read from the tab
+//   actions: string[],         // keys of NOTIFICATION_ACTIONS, by button index
+//   createdAt: number
+// }
+
+async function loadNotificationContexts() {
+  try {
+    const storage = getEphemeralStorageArea();
+    const result = await storage.get([NOTIFICATION_CONTEXTS_KEY]);
+    return result[NOTIFICATION_CONTEXTS_KEY] || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function registerNotification(notificationId, context) {
+  const contexts = await loadNotificationContexts();
+  const now = Date.now();
+  // Drop contexts of notifications the system has long since discarded
+  for (const [id, existing] of Object.entries(contexts)) {
+    if (now - existing.createdAt > NOTIFICATION_CONTEXT_TTL_MS) {
+      delete contexts[id];
+    }
+  }
+  contexts[notificationId] = { ...context, createdAt: now };
+  await getEphemeralStorageArea().set({ [NOTIFICATION_CONTEXTS_KEY]: contexts });
+}
+
+async function takeNotificationContext(notificationId) {
+  const contexts = await loadNotificationContexts();
+  const context = contexts[notificationId] || null;
+  if (context) {
+    delete contexts[notificationId];
+    await getEphemeralStorageArea().set({ [NOTIFICATION_CONTEXTS_KEY]: contexts });
+  }
+  return context;
+}
+
+// Focus the notification's tab, or reopen its conversation if the tab was closed.
+// Batched notifications open the popup instead when the browser allows it.
+async function openNotificationTarget(context) {
+  if (context.openPopup) {
+    try {
+      await chrome.action.openPopup();
+      return;
+    } catch (e) {
+      // No focused window with a toolbar, or not supported: open the first tab instead
+    }
+  }
+  try {
+    const tab = await chrome.tabs.get(context.tabId);
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (e) {
+    if (context.url) {
+      await openConversation(context.url);
+    }
+  }
+}
+
+// Full text of the last response, read from the tab (falls back to the given preview)
+async function getFullResponseText(tabId, fallback = '') {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_LAST_RESPONSE' });
+    if (response?.text) return response.text;
+  } catch (e) {
+    // Tab closed or content script gone
+  }
+  return fallback;
+}
+
+// Last completion of a tab: from history (kept after the page moves on), else read from the tab.
+// since: when the completion was seen; an older history entry means it isn't recorded yet.
+async function getLatestResponseText(tabId, since = 0) {
+  const tab = tabsData.get(tabId);
+  if (!tab) return '';
+  const conversationKey = getConversationKey(tab.url);
+  if (conversationKey) {
+    try {
+      const entry = await getLatestHistoryEntry(conversationKey);
+      if (entry && entry.timestamp >= since) return entry.text || entry.preview;
+    } catch (e) {
+      console.warn('[ChatGPT Notifier] Failed to read history entry:', e);
+    }
+  }
+  return getFullResponseText(tabId, tab.completions[0]?.preview || '');
+}
+
+async function copyToClipboard(text) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ type: 'COPY_TO_CLIPBOARD', text: text });
+  return !!response?.success;
+}
+
+async function handleNotificationAction(notificationId, action) {
+  const context = await takeNotificationContext(notificationId);
+  if (!context) return;
+  chrome.notifications.clear(notificationId);
+
+  switch (action) {
+    case 'open':
+      await openNotificationTarget(context);
+      break;
+
+    case 'copy': {
+      const copied = await copyToClipboard(await getFullResponseText(context.tabId, context.preview));
+      chrome.notifications.create(`chatgpt-copied-${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: copied ? 'Response copied' : 'Copy failed',
+        message: copied ? 'The full response is on your clipboard.' : 'Could not copy the response.',
+        priority: 0,
+        silent: true
+      });
+      break;
+    }
+
+    case 'mute':
+      await muteConversation(context.conversationKey);
+      break;
+  }
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  void handleNotificationAction(notificationId, 'open');
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const contexts = await loadNotificationContexts();
+  const action = contexts[notificationId]?.actions?.[buttonIndex];
+  if (action) {
+    void handleNotificationAction(notificationId, action);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  void takeNotificationContext(notificationId);
+});
+
+// Show notification
+async function showNotification(preview, tabId, duration, options = {}) {
+  const notificationId = `chatgpt-done-${tabId}-${Date.now()}`;
+
+  const siteName = getSiteName(tabId);
+  const tab = tabsData.get(tabId);
+
+  // Build message with optional duration and preview length
+  let message = `Your ${siteName} response is complete!`;
+  if (preview && settings.previewLength > 0) {
+    // Truncate preview to setting length
+    message = preview.length > settings.previewLength
+      ? preview.substring(0, settings.previewLength) + '...'
+      : preview;
+  }
+  if (duration) {
+    message = `(${formatDuration(duration)}) ${message}`;
+  }
+
+  const conversationKey = getConversationKey(tab?.url);
+  // Muting needs a saved conversation to remember
+  const actions = conversationKey ? ['copy', 'mute'] : ['copy'];
+
+  await registerNotification(notificationId, {
+    tabId: tabId,
+    url: tab?.url || null,
+    conversationKey: conversationKey,
+    preview: preview || '',
+    actions: actions
+  });
+
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${siteName} Response Ready`,
+    message: message,
+    buttons: actions.map(action => ({ title: NOTIFICATION_ACTIONS[action] })),
+    priority: options.silent ? 0 : 2,
+    silent: !!options.silent,
+    requireInteraction: false
   });
 
   console.log('[ChatGPT Notifier] Notification shown for tab', tabId);
+  return notificationId;
+}
+
+// Reminders
+// A completion on a monitored tab that stays unread is announced again every
+// settings.reminderIntervalMin minutes, up to settings.reminderMaxCount times. The alarm name
+// carries the tab and the reminder number, so nothing else needs to survive suspension.
+
+const REMINDER_ALARM_PREFIX = 'completion-reminder:';
+
+// count: number of the reminder to send (1 = first)
+async function scheduleCompletionReminder(tabId, count) {
+  await clearCompletionReminder(tabId);
+  chrome.alarms.create(`${REMINDER_ALARM_PREFIX}${tabId}:${count}`, {
+    delayInMinutes: settings.reminderIntervalMin
+  });
+}
+
+async function clearCompletionReminder(tabId) {
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(`${REMINDER_ALARM_PREFIX}${tabId}:`)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+}
+
+async function sendCompletionReminder(tabId, count) {
+  await tabsReady;
+  const tab = tabsData.get(tabId);
+  // Stopped by viewing the tab, muting it or turning reminders off
+  if (!settings.reminderEnabled || !tab?.unread || !monitoredTabs.has(tabId)) return;
+
+  // Muted by snooze or quiet hours: try again next interval without using up a reminder
+  if (await getAlertsMutedUntil()) {
+    await scheduleCompletionReminder(tabId, count);
+    return;
+  }
+
+  // Escalation: every reminder after the first stays on screen and plays at full volume
+  const escalated = settings.reminderEscalate && count > 1;
+  const completedAt = tab.completions[0]?.timestamp || tab.stateChangedAt;
+  const waiting = completedAt ? formatDuration(Date.now() - completedAt) : null;
+  const notificationId = `chatgpt-reminder-${tabId}-${Date.now()}`;
+  const conversationKey = getConversationKey(tab.url);
+  const actions = conversationKey ? ['copy', 'mute'] : ['copy'];
+
+  await registerNotification(notificationId, {
+    tabId: tabId,
+    url: tab.url || null,
+    conversationKey: conversationKey,
+    preview: tab.completions[0]?.preview || '',
+    actions: actions
+  });
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `Reminder: ${getSiteName(tabId)} response waiting`,
+    message: waiting ? `${tab.title} (ready for ${waiting})` : tab.title,
+    buttons: actions.map(action => ({ title: NOTIFICATION_ACTIONS[action] })),
+    priority: 2,
+    requireInteraction: escalated
+  });
+  if (settings.soundEnabled) {
+    playSound(escalated ? 1 : undefined);
+  }
+  console.log('[ChatGPT Notifier] Reminder', count, 'of', settings.reminderMaxCount, 'for tab', tabId);
+
+  if (count < settings.reminderMaxCount) {
+    await scheduleCompletionReminder(tabId, count + 1);
+  }
+}
+
+// Completion Batching
+// The first completion of a burst alerts right away; completions arriving within
+// settings.coalesceWindowSec of the previous one replace its notification with one list
+// notification and don't play another sound. In memory only: a burst lasts seconds.
+
+// CompletionBatch structure:
+// {
+//   notificationId: string|null,  // notification currently showing the burst
+//   items: [{ tabId, preview }],  // completions with a notification, oldest first
+//   soundPlayed: boolean,
+//   lastAt: number,               // the window restarts with every completion
+//   pending: Promise              // notification updates run one at a time, in order
+// }
+let completionBatch = null;
+
+async function addToCompletionBatch(batch, tabId, preview) {
+  batch.items.push({ tabId: tabId, preview: preview || '' });
+  batch.pending = batch.pending.then(() => showBatchNotification(batch)).catch(e => {
+    console.warn('[ChatGPT Notifier] Failed to update grouped notification:', e);
+  });
+  await batch.pending;
+}
+
+// Replace the burst's notification with one listing all of its completions
+async function showBatchNotification(batch) {
+  const previousId = batch.notificationId;
+  if (batch.items.length === 1) {
+    const item = batch.items[0];
+    batch.notificationId = await showNotification(item.preview, item.tabId, null, { silent: batch.soundPlayed });
+    return;
+  }
+
+  const count = batch.items.length;
+  const titles = batch.items.map(item => tabsData.get(item.tabId)?.title || getSiteName(item.tabId));
+  const notificationId = `chatgpt-batch-${Date.now()}-${count}`;
+  // Clicking opens the popup to pick one (falls back to the first tab)
+  await registerNotification(notificationId, {
+    tabId: batch.items[0].tabId,
+    url: tabsData.get(batch.items[0].tabId)?.url || null,
+    openPopup: true,
+    actions: []
+  });
+  if (previousId) {
+    chrome.notifications.clear(previousId);
+    await takeNotificationContext(previousId);
+  }
+  chrome.notifications.create(notificationId, {
+    type: 'list',
+    iconUrl: 'icons/icon128.png',
+    title: `${count} responses ready: ${titles.join(', ')}`,
+    message: '',
+    items: batch.items.slice(0, 5).map((item, i) => ({
+      title: titles[i],
+      message: settings.previewLength > 0 ? item.preview.substring(0, settings.previewLength) : ''
+    })),
+    priority: 2,
+    silent: true // The burst's first completion already made a sound
+  });
+  batch.notificationId = notificationId;
+  console.log('[ChatGPT Notifier] Merged', count, 'completions into one notification');
+}
+
+async function showInterruptionNotification(tabId, alert, options = {}) {
+  const notificationId = `chatgpt-interrupted-${tabId}-${Date.now()}`;
+  const tab = tabsData.get(tabId);
+
+  // Nothing to copy from an unfinished response; muting is still useful
+  const conversationKey = getConversationKey(tab?.url);
+  const actions = conversationKey ? ['mute'] : [];
+
+  await registerNotification(notificationId, {
+    tabId: tabId,
+    url: tab?.url || null,
+    conversationKey: conversationKey,
+    preview: '',
+    actions: actions
+  });
+
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: alert.title,
+    message: alert.message,
+    buttons: actions.map(action => ({ title: NOTIFICATION_ACTIONS[action] })),
+    priority: options.silent ? 0 : 2,
+    silent: !!options.silent,
+    requireInteraction: !options.silent && !!alert.requireInteraction
+  });
+
+  console.log('[ChatGPT Notifier] Notification shown for tab', tabId, alert.note);
 }
 
 // Clean up when tab is closed
+// Switching to a tab reads its completion
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  await tabsReady;
+  setTabUnread(tabId, false);
+});
+
 chrome.tabs.onRemoved.addListener((tabId) => {
   // Remove from tabsData
   if (tabsData.has(tabId)) {
     tabsData.delete(tabId);
     void removeEphemeralTabData(tabId);
-    saveTabsData();
     broadcastTabsUpdate();
     updateGlobalBadge(); // Update active count
     console.log('[ChatGPT Notifier] Tab closed, removed from tabsData:', tabId);
   }
 
+  void clearCompletionReminder(tabId);
+
   // Remove from monitored tabs
   if (monitoredTabs.has(tabId)) {
     monitoredTabs.delete(tabId);
@@ -610,47 +1871,65 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   }
 });
 
-// Track ChatGPT tabs + Auto-enable + Clean up
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  const isChatGPT = isChatGPTUrl(tab.url);
+// Start monitoring a newly loaded tab whose conversation has no remembered bell
+function autoEnableMonitoring(tabId) {
+  if (monitoredTabs.has(tabId)) return;
+  setTabMonitored(tabId, true);
+  saveTabsData();
+  broadcastTabsUpdate();
+  console.log('[ChatGPT Notifier] Auto-enabled monitoring for tab:', tabId);
+}
 
-  // Track ALL ChatGPT tabs when they finish loading
-  if (changeInfo.status === 'complete' && tab.url && isChatGPT) {
+// Track assistant tabs + Auto-enable + Clean up
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await tabsReady;
+  const site = getSiteAdapterForUrl(tab.url);
+  const isSupported = !!site;
+
+  // In-page navigation: a new chat getting its ID, or another conversation opened in this tab
+  if (changeInfo.url && isSupported && tabsData.has(tabId)) {
+    const tabInfo = tabsData.get(tabId);
+    const previousKey = getConversationKey(tabInfo.url);
+    tabInfo.url = changeInfo.url;
+    const key = getConversationKey(changeInfo.url);
+    if (previousKey && key !== previousKey) {
+      // Another conversation: its model is reported when the page loads it
+      tabInfo.model = null;
+      tabInfo.reasoning = false;
+      persistEphemeralFields(tabId);
+    }
+    if (key && key !== previousKey && !applyConversationPrefs(tabId)) {
+      // Nothing remembered for it: the conversation keeps this tab's bell
+      saveTabsData();
+    }
+    broadcastTabsUpdate();
+  }
+
+  // Track ALL assistant tabs when they finish loading
+  if (changeInfo.status === 'complete' && tab.url && isSupported) {
     if (!tabsData.has(tabId)) {
-      // New ChatGPT tab discovered
+      // New assistant tab discovered
       tabsData.set(tabId, createTabInfo(tab));
       persistEphemeralFields(tabId);
-      console.log('[ChatGPT Notifier] New ChatGPT tab detected:', tabId, tab.title);
+      console.log('[ChatGPT Notifier] New', site.name, 'tab detected:', tabId, tab.title);
     } else {
-      // Update existing tab info (title/url may have changed)
+      // Update existing tab info (title/url/site may have changed)
       const tabInfo = tabsData.get(tabId);
-      tabInfo.title = tab.title || 'ChatGPT';
+      tabInfo.title = tab.title || site.name;
       tabInfo.url = tab.url;
+      tabInfo.site = site.id;
       tabInfo.windowId = tab.windowId;
     }
     broadcastTabsUpdate();
 
-    // Auto-enable monitoring if setting enabled
-    if (settings.autoEnableEnabled && !monitoredTabs.has(tabId)) {
-      monitoredTabs.add(tabId);
-
-      const tabInfo = tabsData.get(tabId);
-      if (tabInfo) {
-        tabInfo.isMonitored = true;
-      }
-
-      chrome.tabs.sendMessage(tabId, { type: 'START_MONITORING', stabilityWindowMs: settings.stabilityWindowMs }).catch(() => {
-        // Content script might not be ready yet
-      });
-      saveMonitoredTabs();
-      saveTabsData();
-      broadcastTabsUpdate();
-      console.log('[ChatGPT Notifier] Auto-enabled monitoring for tab:', tabId);
+    // Remembered bell for this conversation, otherwise auto-enable if the setting is on
+    if (!applyConversationPrefs(tabId) && settings.autoEnableEnabled) {
+      autoEnableMonitoring(tabId);
     }
   }
 
-  // Update title when it changes (ChatGPT updates title after first message)
-  if (changeInfo.title && isChatGPT && tabsData.has(tabId)) {
+  // Update title when it changes (sites update the title after the first message)
+  if (changeInfo.title && isSupported && tabsData.has(tabId)) {
     const tabInfo = tabsData.get(tabId);
     if (tabInfo.title !== changeInfo.title) {
       tabInfo.title = changeInfo.title;
@@ -659,13 +1938,12 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
   }
 
-  // Clean up when navigating away from ChatGPT
-  if (changeInfo.url && !isChatGPTUrl(changeInfo.url)) {
+  // Clean up when navigating away from a supported site
+  if (changeInfo.url && !isSupportedUrl(changeInfo.url)) {
     // Remove from tabsData
     if (tabsData.has(tabId)) {
       tabsData.delete(tabId);
       void removeEphemeralTabData(tabId);
-      saveTabsData();
       broadcastTabsUpdate();
       updateGlobalBadge();
       console.log('[ChatGPT Notifier] Tab navigated away, removed from tabsData:', tabId);
@@ -680,4 +1958,105 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Keyboard Shortcuts (chrome.commands, see manifest.json; users can rebind them
+// in chrome://extensions/shortcuts)
+
+const SHORTCUT_SNOOZE_MINUTES = 60;
+
+// Silent confirmation for shortcuts that have no visible effect
+function showShortcutFeedback(title, message) {
+  chrome.notifications.create(`chatgpt-shortcut-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: message,
+    priority: 0,
+    silent: true
+  });
+}
+
+// Unread completed tabs, newest completion first
+function getUnviewedCompletedTabs() {
+  return Array.from(tabsData.values())
+    .filter(tab => tab.unread && tab.completions.length > 0)
+    .sort((a, b) => b.completions[0].timestamp - a.completions[0].timestamp);
+}
+
+async function getActiveTabId() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab?.id ?? null;
+}
+
+async function jumpToLatestCompletedTab() {
+  const latest = Array.from(tabsData.values())
+    .filter(tab => tab.completions.length > 0)
+    .sort((a, b) => b.completions[0].timestamp - a.completions[0].timestamp)[0];
+  if (!latest) {
+    showShortcutFeedback('No completed tabs', 'No open tab has finished a response yet.');
+    return;
+  }
+  await focusTab(latest.tabId, latest.windowId);
+}
+
+// Newest unviewed completion first; viewing a tab removes it from the list, so repeating
+// the shortcut walks through the rest
+async function cycleUnviewedTabs() {
+  const activeTabId = await getActiveTabId();
+  const next = getUnviewedCompletedTabs().find(tab => tab.tabId !== activeTabId);
+  if (!next) {
+    showShortcutFeedback('All caught up', 'No completed responses waiting to be viewed.');
+    return;
+  }
+  await focusTab(next.tabId, next.windowId);
+}
+
+async function toggleMonitoringForActiveTab() {
+  const tabId = await getActiveTabId();
+  if (!tabId || !tabsData.has(tabId)) {
+    showShortcutFeedback('Not an assistant tab', 'Alerts can be toggled on ChatGPT, Claude, Gemini and Perplexity tabs.');
+    return;
+  }
+  const { isMonitored } = await toggleMonitoring(tabId);
+  showShortcutFeedback(isMonitored ? 'Alerts on' : 'Alerts off', `For "${tabsData.get(tabId).title}"`);
+}
+
+// Snooze all alerts, or resume them if already snoozed
+async function toggleSnooze() {
+  if (await getSnoozeUntil()) {
+    await setSnooze(null);
+    showShortcutFeedback('Alerts resumed', 'Snooze cleared.');
+    return;
+  }
+  const until = Date.now() + SHORTCUT_SNOOZE_MINUTES * 60000;
+  await setSnooze(until);
+  showShortcutFeedback('Alerts snoozed', `Until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`);
+}
+
+// Switch to the next settings profile and say which one is active now
+async function cycleProfile() {
+  const profile = await switchProfile(getNextProfileId(await loadSettingsState()));
+  showShortcutFeedback(`Profile: ${profile.name}`, 'Alert settings switched.');
+}
+
+chrome.commands.onCommand.addListener(async (command) => {
+  await tabsReady;
+  switch (command) {
+    case 'jump-to-latest':
+      await jumpToLatestCompletedTab();
+      break;
+    case 'cycle-unviewed':
+      await cycleUnviewedTabs();
+      break;
+    case 'toggle-monitoring':
+      await toggleMonitoringForActiveTab();
+      break;
+    case 'toggle-snooze':
+      await toggleSnooze();
+      break;
+    case 'cycle-profile':
+      await cycleProfile();
+      break;
+  }
+});
+
 console.log('[ChatGPT Notifier] Background service worker loaded');
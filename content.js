@@ -1,5 +1,5 @@
 // ChatGPT Completion Notifier - Content Script
-// Monitors DOM for generation state changes and notifies background worker
+// Monitors DOM for generation state changes (via the site adapter) and notifies background worker
 
 (function() {
   'use strict';
@@ -12,20 +12,49 @@
     GENERATING: 'generating',
     THINKING: 'thinking',
     WRITING: 'writing',
-    COMPLETED: 'completed'
+    COMPLETED: 'completed',
+    ERROR: 'error',
+    NEEDS_ATTENTION: 'needs_attention'
   };
 
   // State
   let isMonitoring = false;
   let wasGenerating = false;
   let cooldownTimer = null;
-  let pollInterval = null;
+  let observer = null;
+  let observedTargets = [];
+  let evaluateTimer = null;
+  let safetyPollInterval = null;
   let lastAssistantText = '';
   let generationStartTime = null;
   let stabilityWindowMs = 1500; // Default, can be overridden by settings
   let currentState = STATES.IDLE;
-
-  const POLL_INTERVAL_MS = 500; // Check every 500ms
+  let errorReason = null; // 'network' | 'server' | 'usage_limit' while in the error state
+  let attentionKind = null; // 'continue' | 'approval' | 'question' once the user has been told
+  let autoContinue = false; // Click "Continue generating" instead of alerting (per tab, set by background)
+  let autoContinueCount = 0;
+  let thinkingMs = 0; // Time spent thinking during the current generation (reported for stats)
+  let thinkingSince = null;
+  // Generation observed through the intercepted event stream (inject.js).
+  // While set, stream events drive start/finish and DOM polling only refines the detailed state.
+  let streamGeneration = null; // { startedAt, firstTokenAt }
+  // After a stream finishes, ignore the Stop button until the page removes it
+  let domSettlePending = false;
+  // Full text of the last completed response: markdown from the stream when observed,
+  // otherwise the rendered text. Tied to the URL so another conversation in this tab doesn't reuse it.
+  let lastResponse = null; // { url, text }
+  // Generation warnings ('stalled' | 'long_running'); thresholds are set by background, 0 = off
+  let stallTimeoutMs = 0;
+  let longRunningMs = 0;
+  let progressSignature = '';
+  let lastProgressAt = null; // Last change of the answer text or thinking indicator
+  let generationWarning = null; // Reported to background
+  const alertedWarnings = new Set(); // Each warning alerts once per generation
+
+  const EVALUATE_DELAY_MS = 200; // Coalesce bursts of DOM mutations into one evaluation
+  const PREVIEW_MAX_LENGTH = 1000; // Upper bound of the previewLength setting
+  const MAX_AUTO_CONTINUES = 10; // Stop auto-continuing a runaway answer and ask the user instead
+  const SAFETY_POLL_INTERVAL_MS = 5000; // Catch anything the observer missed (e.g. re-rendered roots)
 
   // Safe message sending - handles extension context invalidation
   function safeSendMessage(message) {
@@ -54,49 +83,87 @@
         type: 'CONVERSATION_TIMESTAMP',
         updateTime: event.data.updateTime
       });
+    } else if (event.data?.type === 'CHATGPT_NOTIFIER_MODEL') {
+      safeSendMessage({
+        type: 'CONVERSATION_MODEL',
+        model: event.data.model,
+        reasoning: event.data.reasoning
+      });
+    } else if (event.data?.type === 'CHATGPT_NOTIFIER_STREAM') {
+      handleStreamEvent(event.data);
     }
   });
 
-  // DOM Detection Functions (verified Jan 2025)
+  // Report page visibility so background can tell whether the user is watching this tab
+  document.addEventListener('visibilitychange', () => {
+    safeSendMessage({
+      type: 'VISIBILITY_CHANGE',
+      visibilityState: document.visibilityState
+    });
+  });
+
+  // DOM Detection Functions (delegated to the site adapter, see sites.js)
+
+  const site = getSiteAdapterForUrl(location.href) || getSiteAdapterById('chatgpt');
 
   function findStopButton() {
-    // Stop button has class btn-secondary and text "Stop"
-    const buttons = document.querySelectorAll('button');
-    return Array.from(buttons).find(b => b.innerText === 'Stop');
+    return site.findStopButton();
   }
 
   function isGenerating() {
     return !!findStopButton();
   }
 
+  // Generation state from the stream when observed, otherwise from the DOM
+  function isGenerationActive() {
+    if (streamGeneration) return true;
+    if (domSettlePending) {
+      if (isGenerating()) return false;
+      domSettlePending = false;
+    }
+    return isGenerating();
+  }
+
   function getLastAssistantMessage() {
-    const messages = document.querySelectorAll('[data-message-author-role="assistant"]');
-    if (messages.length === 0) return null;
-    return messages[messages.length - 1];
+    return site.getLastAssistantMessage();
   }
 
-  function getAssistantPreview() {
+  // Full text of the last response, preferring the markdown captured from the stream
+  function getAssistantResponse(streamText) {
+    if (streamText) return streamText;
     const lastMsg = getLastAssistantMessage();
-    if (!lastMsg) return '';
-    const text = lastMsg.innerText || '';
-    // Return first ~100 chars as preview
-    if (text.length <= 100) return text;
-    return text.substring(0, 100) + '...';
+    return lastMsg ? (lastMsg.innerText || '') : '';
+  }
+
+  // Notifications cut the preview further to the previewLength setting
+  function getAssistantPreview(text) {
+    if (text.length <= PREVIEW_MAX_LENGTH) return text;
+    return text.substring(0, PREVIEW_MAX_LENGTH) + '...';
   }
 
+  // Used only to detect growth, so textContent is enough (innerText forces a layout)
   function getAssistantText() {
     const lastMsg = getLastAssistantMessage();
-    return lastMsg ? (lastMsg.innerText || '') : '';
+    return lastMsg ? (lastMsg.textContent || '') : '';
   }
 
-  // Detect "Answer now" button (Pro model thinking state)
-  function findAnswerNowButton() {
-    const buttons = document.querySelectorAll('button');
-    return Array.from(buttons).find(b => b.innerText?.includes('Answer now'));
+  function isThinking() {
+    return !!site.findThinkingIndicator();
   }
 
-  function isThinking() {
-    return !!findAnswerNowButton();
+  function getErrorReason() {
+    return site.getErrorReason();
+  }
+
+  // Pause point waiting for the user, or null. While generating only approval prompts count
+  // (a half-written answer can end with "?" and the Continue button isn't shown yet).
+  function getAttentionPrompt(generating) {
+    const prompt = site.findAttentionPrompt();
+    if (generating) {
+      return prompt === 'approval' ? prompt : null;
+    }
+    if (site.findContinueButton()) return 'continue';
+    return prompt;
   }
 
   // Report state change to background
@@ -104,23 +171,34 @@
     if (newState !== currentState) {
       const oldState = currentState;
       currentState = newState;
+      if (oldState === STATES.THINKING && thinkingSince) {
+        thinkingMs += Date.now() - thinkingSince;
+        thinkingSince = null;
+      }
+      if (newState === STATES.THINKING) {
+        thinkingSince = Date.now();
+      }
       console.log('[ChatGPT Notifier] State changed:', oldState, '->', newState);
       safeSendMessage({
         type: 'STATE_CHANGE',
         state: newState,
+        errorReason: newState === STATES.ERROR ? errorReason : null,
+        attentionKind: newState === STATES.NEEDS_ATTENTION ? attentionKind : null,
         generationStartTime: generationStartTime  // Include for timer display in popup
       });
     }
   }
 
   // Determine current detailed state
-  function determineDetailedState() {
-    const generating = isGenerating();
-    const thinking = isThinking();
-    const currentAssistantText = getAssistantText();
-
+  function determineDetailedState(generating, currentAssistantText, attention, thinkingIndicator) {
     if (!generating) {
-      // Not generating - either idle or in cooldown (completed)
+      // Not generating - error / needs attention (kept until the next generation), cooldown (completed) or idle
+      if (currentState === STATES.ERROR) {
+        return STATES.ERROR;
+      }
+      if (attention || currentState === STATES.NEEDS_ATTENTION) {
+        return STATES.NEEDS_ATTENTION;
+      }
       if (cooldownTimer) {
         return STATES.COMPLETED; // In cooldown, basically completed
       }
@@ -128,11 +206,17 @@
     }
 
     // Generating is true (Stop button visible)
-    if (thinking) {
-      return STATES.THINKING; // Pro model thinking
+    if (attention) {
+      return STATES.NEEDS_ATTENTION; // Agent paused for approval
+    }
+    if (thinkingIndicator) {
+      return STATES.THINKING; // Reasoning model thinking
     }
 
     // Check if assistant text is growing (writing)
+    if (streamGeneration?.firstTokenAt) {
+      return STATES.WRITING;
+    }
     if (currentAssistantText.length > 0 && currentAssistantText !== lastAssistantText) {
       return STATES.WRITING;
     }
@@ -145,13 +229,25 @@
   function checkState() {
     if (!isMonitoring) return;
 
-    const generating = isGenerating();
+    // Each DOM lookup runs once per evaluation (several per second while streaming)
+    const generating = isGenerationActive();
     const currentAssistantText = getAssistantText();
+    const attention = getAttentionPrompt(generating);
+    const thinkingIndicator = generating ? site.findThinkingIndicator() : null;
 
     // Report detailed state change
-    const detailedState = determineDetailedState();
+    const detailedState = determineDetailedState(generating, currentAssistantText, attention, thinkingIndicator);
     reportStateChange(detailedState);
 
+    // An approval prompt mid-generation: alert once per prompt, the generation continues afterwards
+    if (generating) {
+      if (attention && !attentionKind) {
+        onNeedsAttention(attention, { ended: false });
+      } else if (!attention) {
+        attentionKind = null;
+      }
+    }
+
     // Transition: was generating -> not generating
     if (wasGenerating && !generating) {
       // Only treat this as a "completion" if we observed a generation start while monitoring.
@@ -170,11 +266,142 @@
       // Cancel any pending cooldown
       cancelCooldown();
       generationStartTime = Date.now();
+      thinkingMs = 0;
+      errorReason = null;
+      attentionKind = null;
       console.log('[ChatGPT Notifier] Generation started');
     }
 
     wasGenerating = generating;
     lastAssistantText = currentAssistantText;
+    checkGenerationProgress(generating, currentAssistantText, thinkingIndicator);
+  }
+
+  // Generation Warnings
+  // Stalled: the Stop button is still shown but neither the answer nor the thinking indicator
+  // has changed for stallTimeoutMs. Long running: still generating after longRunningMs.
+  // Evaluated on mutations and by the safety poll, which is what notices a page gone quiet.
+
+  function checkGenerationProgress(generating, currentAssistantText, thinkingIndicator) {
+    if (!generating || !generationStartTime) {
+      progressSignature = '';
+      lastProgressAt = null;
+      alertedWarnings.clear();
+      setGenerationWarning(null);
+      return;
+    }
+
+    const now = Date.now();
+    const signature = `${currentAssistantText.length}:${thinkingIndicator ? thinkingIndicator.textContent.length : -1}`;
+    // Waiting on an approval prompt is the user's turn, not a stall
+    if (signature !== progressSignature || !lastProgressAt || attentionKind) {
+      progressSignature = signature;
+      lastProgressAt = now;
+    }
+
+    if (stallTimeoutMs > 0 && now - lastProgressAt >= stallTimeoutMs) {
+      setGenerationWarning('stalled');
+    } else if (longRunningMs > 0 && now - generationStartTime >= longRunningMs) {
+      setGenerationWarning('long_running');
+    } else {
+      setGenerationWarning(null);
+    }
+  }
+
+  function setGenerationWarning(warning) {
+    if (warning === generationWarning) return;
+    generationWarning = warning;
+    const alert = !!warning && !alertedWarnings.has(warning);
+    if (warning) {
+      alertedWarnings.add(warning);
+      console.log('[ChatGPT Notifier] Generation warning:', warning);
+    }
+    safeSendMessage({
+      type: 'GENERATION_WARNING',
+      warning: warning,
+      alert: alert,
+      elapsedMs: generationStartTime ? Date.now() - generationStartTime : 0,
+      stalledMs: lastProgressAt ? Date.now() - lastProgressAt : 0
+    });
+  }
+
+  function setGenerationLimits(options) {
+    if (options.stallTimeoutMs !== undefined) {
+      stallTimeoutMs = options.stallTimeoutMs;
+    }
+    if (options.longRunningMs !== undefined) {
+      longRunningMs = options.longRunningMs;
+    }
+  }
+
+  // DOM Observation
+
+  // Schedule one evaluation for a burst of mutations. Not a trailing debounce:
+  // mutations never pause while a response streams, so the first one arms the timer.
+  function scheduleCheck() {
+    if (evaluateTimer) return;
+    evaluateTimer = setTimeout(() => {
+      evaluateTimer = null;
+      checkState();
+    }, EVALUATE_DELAY_MS);
+  }
+
+  function onMutations() {
+    if (observedTargets.length === 0) {
+      attachObserver(); // Waiting for the page to render its containers
+    } else {
+      scheduleCheck();
+    }
+  }
+
+  // (Re)attach the observer to the composer and thread. The page may replace these
+  // on navigation, so the safety poll calls this again.
+  function attachObserver() {
+    const targets = site.getObserveTargets();
+    const unchanged = observer !== null &&
+      targets.length === observedTargets.length &&
+      targets.every((target, i) => target === observedTargets[i]);
+    if (unchanged) return;
+
+    if (!observer) {
+      observer = new MutationObserver(onMutations);
+    }
+    observer.disconnect();
+    observedTargets = targets;
+
+    if (targets.length === 0) {
+      // Page not rendered yet: watch for the containers to appear
+      observer.observe(document.body, { childList: true, subtree: true });
+      return;
+    }
+
+    for (const target of targets) {
+      observer.observe(target, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['aria-label', 'data-testid', 'data-is-streaming', 'disabled']
+      });
+    }
+    scheduleCheck();
+  }
+
+  function detachObserver() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    observedTargets = [];
+    if (evaluateTimer) {
+      clearTimeout(evaluateTimer);
+      evaluateTimer = null;
+    }
+  }
+
+  function safetyPoll() {
+    attachObserver();
+    checkState();
   }
 
   function startCooldown() {
@@ -183,7 +410,7 @@
 
     cooldownTimer = setTimeout(() => {
       cooldownTimer = null;
-      onGenerationComplete();
+      finishGeneration();
     }, stabilityWindowMs);
   }
 
@@ -194,14 +421,91 @@
     }
   }
 
-  function onGenerationComplete() {
+  // Stream Events (from inject.js)
+
+  function handleStreamEvent(data) {
+    if (!isMonitoring) return;
+
+    switch (data.event) {
+      case 'start':
+        cancelCooldown();
+        domSettlePending = false;
+        streamGeneration = { startedAt: data.at, firstTokenAt: null };
+        generationStartTime = data.at;
+        thinkingMs = 0;
+        errorReason = null;
+        attentionKind = null;
+        wasGenerating = true;
+        console.log('[ChatGPT Notifier] Generation started (stream)');
+        reportStateChange(isThinking() ? STATES.THINKING : STATES.GENERATING);
+        break;
+
+      case 'first_token':
+        if (!streamGeneration) return;
+        streamGeneration.firstTokenAt = data.at;
+        if (!isThinking()) {
+          reportStateChange(STATES.WRITING);
+        }
+        break;
+
+      case 'finished':
+        if (!streamGeneration) return;
+        // Exact completion: no stability window needed
+        streamGeneration = null;
+        domSettlePending = true;
+        wasGenerating = false;
+        cancelCooldown();
+        finishGeneration(data.text, data.finishType === 'max_tokens' ? 'continue' : null, true);
+        break;
+
+      case 'error':
+        if (!streamGeneration) return;
+        if (['network', 'server', 'usage_limit'].includes(data.reason)) {
+          // The request failed: no response is coming
+          streamGeneration = null;
+          domSettlePending = true;
+          wasGenerating = false;
+          cancelCooldown();
+          onGenerationError(data.reason);
+          break;
+        }
+        // Stream can't tell us when the turn ends (stopped, dropped, unobservable):
+        // fall back to the Stop button + stability window for this generation.
+        console.log('[ChatGPT Notifier] Stream not observable (' + data.reason + '), falling back to DOM detection');
+        streamGeneration = null;
+        checkState();
+        break;
+    }
+  }
+
+  // The Stop button is gone (or the stream ended): decide whether the turn failed,
+  // paused for the user, or completed. The page renders error messages and pause
+  // prompts once generation stops. A stream that finished cleanly reported its own
+  // errors already, so the DOM isn't asked.
+  function finishGeneration(streamText, knownAttention = null, streamFinished = false) {
+    const reason = streamFinished ? null : getErrorReason();
+    if (reason) {
+      onGenerationError(reason);
+      return;
+    }
+    const attention = knownAttention || getAttentionPrompt(false);
+    if (attention) {
+      onNeedsAttention(attention, { ended: true });
+      return;
+    }
+    autoContinueCount = 0;
+    onGenerationComplete(streamText);
+  }
+
+  function onGenerationComplete(streamText) {
     console.log('[ChatGPT Notifier] Generation complete!');
 
-    const preview = getAssistantPreview();
+    const text = getAssistantResponse(streamText);
     const duration = generationStartTime ? Date.now() - generationStartTime : null;
 
     // Reset start time
     generationStartTime = null;
+    lastResponse = { url: location.href, text: text };
 
     // Report completed state
     reportStateChange(STATES.COMPLETED);
@@ -209,46 +513,113 @@
     // Send message to background script
     safeSendMessage({
       type: 'GENERATION_COMPLETE',
-      preview: preview,
-      duration: duration
+      preview: getAssistantPreview(text),
+      text: text,
+      duration: duration,
+      thinkingMs: thinkingMs,
+      visibilityState: document.visibilityState  // Lets background skip alerts for a tab being watched
     });
 
     // After a short delay, transition to idle if nothing new starts
     setTimeout(() => {
-      if (!isGenerating() && currentState === STATES.COMPLETED) {
+      if (!isGenerationActive() && currentState === STATES.COMPLETED) {
         reportStateChange(STATES.IDLE);
       }
     }, 3000);
   }
 
+  function onGenerationError(reason) {
+    console.log('[ChatGPT Notifier] Generation failed:', reason);
+
+    const duration = generationStartTime ? Date.now() - generationStartTime : null;
+    generationStartTime = null;
+    errorReason = reason;
+
+    // Stays in the error state until the next generation starts
+    reportStateChange(STATES.ERROR);
+
+    safeSendMessage({
+      type: 'GENERATION_ERROR',
+      reason: reason,
+      duration: duration,
+      thinkingMs: thinkingMs,
+      visibilityState: document.visibilityState
+    });
+  }
+
+  // ended: the generation stopped at this prompt (vs. an agent waiting mid-generation)
+  function onNeedsAttention(kind, { ended, retried = false }) {
+    if (kind === 'continue' && autoContinue && autoContinueCount < MAX_AUTO_CONTINUES) {
+      const button = site.findContinueButton();
+      if (button) {
+        autoContinueCount++;
+        console.log('[ChatGPT Notifier] Auto-continuing generation (' + autoContinueCount + '/' + MAX_AUTO_CONTINUES + ')');
+        button.click();
+        return; // The continuation is a new generation with its own completion
+      }
+      if (!retried) {
+        // The stream can end before the page renders the button
+        setTimeout(() => onNeedsAttention(kind, { ended, retried: true }), 1000);
+        return;
+      }
+    }
+
+    console.log('[ChatGPT Notifier] Generation needs attention:', kind);
+    attentionKind = kind;
+    autoContinueCount = 0;
+    const duration = generationStartTime ? Date.now() - generationStartTime : null;
+    if (ended) {
+      generationStartTime = null;
+    }
+
+    reportStateChange(STATES.NEEDS_ATTENTION);
+
+    safeSendMessage({
+      type: 'NEEDS_ATTENTION',
+      kind: kind,
+      ended: ended,
+      duration: duration,
+      thinkingMs: thinkingMs,
+      visibilityState: document.visibilityState
+    });
+  }
+
   // Monitoring Control
 
   function startMonitoring(options = {}) {
-    if (isMonitoring) return;
-
-    // Apply settings if provided
+    // Apply settings if provided (also when already monitoring: background resends them)
     if (options.stabilityWindowMs) {
       stabilityWindowMs = options.stabilityWindowMs;
     }
+    if (options.autoContinue !== undefined) {
+      autoContinue = !!options.autoContinue;
+    }
+    setGenerationLimits(options);
 
+    if (isMonitoring) return;
     isMonitoring = true;
     wasGenerating = isGenerating();
     lastAssistantText = getAssistantText();
 
     console.log('[ChatGPT Notifier] Monitoring started. Currently generating:', wasGenerating, 'Stability window:', stabilityWindowMs + 'ms');
 
-    // Poll for state changes (only start if not already polling)
-    if (!pollInterval) {
-      pollInterval = setInterval(checkState, POLL_INTERVAL_MS);
+    // Evaluate on DOM mutations, with a low-frequency poll as a safety net
+    attachObserver();
+    if (!safetyPollInterval) {
+      safetyPollInterval = setInterval(safetyPoll, SAFETY_POLL_INTERVAL_MS);
     }
   }
 
   function stopMonitoring() {
     isMonitoring = false;
     cancelCooldown();
-    if (pollInterval) {
-      clearInterval(pollInterval);
-      pollInterval = null;
+    streamGeneration = null;
+    alertedWarnings.clear();
+    setGenerationWarning(null);
+    detachObserver();
+    if (safetyPollInterval) {
+      clearInterval(safetyPollInterval);
+      safetyPollInterval = null;
     }
     console.log('[ChatGPT Notifier] Monitoring stopped');
   }
@@ -257,22 +628,39 @@
 
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'START_MONITORING') {
-      startMonitoring({ stabilityWindowMs: message.stabilityWindowMs });
-      sendResponse({ success: true, generating: isGenerating() });
+      startMonitoring({
+        stabilityWindowMs: message.stabilityWindowMs,
+        autoContinue: message.autoContinue,
+        stallTimeoutMs: message.stallTimeoutMs,
+        longRunningMs: message.longRunningMs
+      });
+      sendResponse({ success: true, generating: isGenerationActive() });
     } else if (message.type === 'STOP_MONITORING') {
       stopMonitoring();
       sendResponse({ success: true });
+    } else if (message.type === 'SET_AUTO_CONTINUE') {
+      autoContinue = !!message.enabled;
+      sendResponse({ success: true });
+    } else if (message.type === 'SET_GENERATION_LIMITS') {
+      setGenerationLimits(message);
+      sendResponse({ success: true });
     } else if (message.type === 'GET_STATUS') {
       sendResponse({
         isMonitoring: isMonitoring,
-        isGenerating: isGenerating()
+        isGenerating: isGenerationActive()
       });
+    } else if (message.type === 'GET_LAST_RESPONSE') {
+      // Full text of the last response (notification "Copy response" button, read aloud, rules)
+      const captured = lastResponse?.url === location.href ? lastResponse.text : null;
+      sendResponse({ text: captured || getAssistantResponse(null) });
     } else if (message.type === 'GET_CONTENT_STATE') {
       // Return current detailed state for background to query
       sendResponse({
         state: currentState,
+        errorReason: errorReason,
+        attentionKind: attentionKind,
         isMonitoring: isMonitoring,
-        isGenerating: isGenerating()
+        isGenerating: isGenerationActive()
       });
     }
     return true; // Keep channel open for async response
@@ -281,9 +669,9 @@
   // Initialize - check if we should be monitoring (in case of page refresh)
   safeSendMessage({ type: 'GET_TAB_STATE' }).then(response => {
     if (response && response.isMonitored) {
-      startMonitoring();
+      startMonitoring(response.options);
     }
   });
 
-  console.log('[ChatGPT Notifier] Content script loaded');
+  console.log('[ChatGPT Notifier] Content script loaded for', site.name);
 })();
@@ -0,0 +1,81 @@
+// ChatGPT Completion Notifier - Local Database
+// IndexedDB shared by the background worker and extension pages (same extension origin).
+// Plain script: loaded with importScripts() in the worker and <script> in pages.
+// Needs sites.js loaded first (the v3 upgrade derives conversation keys from URLs).
+
+const DB_NAME = 'chatgpt-notifier';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+// Open (and upgrade) the database once per context
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      // v1: completion history
+      if (event.oldVersion < 1) {
+        const completions = db.createObjectStore('completions', { keyPath: 'id', autoIncrement: true });
+        completions.createIndex('timestamp', 'timestamp');
+      }
+      // v2: user-uploaded notification sounds
+      if (event.oldVersion < 2) {
+        db.createObjectStore('sounds', { keyPath: 'id' });
+      }
+      // v3: history keyed by conversation (backfilled from the stored URLs)
+      if (event.oldVersion < 3) {
+        const completions = request.transaction.objectStore('completions');
+        completions.createIndex('conversationKey', 'conversationKey');
+        completions.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          cursor.update({ ...cursor.value, conversationKey: getConversationKey(cursor.value.url) });
+          cursor.continue();
+        };
+      }
+      // v4: generation event log for statistics
+      if (event.oldVersion < 4) {
+        const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+        events.createIndex('timestamp', 'timestamp');
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the schema: drop our handle so the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction commits
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
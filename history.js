@@ -0,0 +1,273 @@
+// ChatGPT Completion Notifier - Completion History
+// Durable record of every completion, stored in IndexedDB (see db.js).
+// Owned by the background worker; the popup queries it via messages.
+
+// HistoryEntry structure:
+// {
+//   id: number (auto-increment),
+//   timestamp: number,
+//   site: string (SiteAdapter id),
+//   title: string,
+//   url: string,
+//   conversationKey: string|null ('<site>:<id>', see getConversationKey),
+//   model: string|null (model slug, ChatGPT only),
+//   duration: number (ms, 0 if unknown),
+//   preview: string,
+//   text: string (full response, markdown when captured from the stream; missing in older entries)
+// }
+
+const HISTORY_STORE = 'completions';
+
+async function addHistoryEntry(entry) {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const id = await requestToPromise(tx.objectStore(HISTORY_STORE).add(entry));
+  await transactionDone(tx);
+  return id;
+}
+
+function historyEntryMatches(entry, search) {
+  if (!search) return true;
+  return [entry.title, entry.url, entry.text || entry.preview].some(value =>
+    (value || '').toLowerCase().includes(search)
+  );
+}
+
+// Query newest-first with optional search text and [from, to] timestamp range.
+// Returns { entries, total } where total counts every match (for pagination).
+async function queryHistory({ search = '', from = null, to = null, offset = 0, limit = 20 } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  const index = tx.objectStore(HISTORY_STORE).index('timestamp');
+
+  let range = null;
+  if (from && to) range = IDBKeyRange.bound(from, to);
+  else if (from) range = IDBKeyRange.lowerBound(from);
+  else if (to) range = IDBKeyRange.upperBound(to);
+
+  const needle = search.trim().toLowerCase();
+  const entries = [];
+  let total = 0;
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(range, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      if (historyEntryMatches(cursor.value, needle)) {
+        if (total >= offset && entries.length < limit) {
+          entries.push(cursor.value);
+        }
+        total++;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  return { entries, total };
+}
+
+// Apply retention limits: drop entries older than maxAgeDays, then the oldest beyond maxEntries.
+// A limit of 0 means unlimited.
+async function pruneHistory({ maxEntries = 0, maxAgeDays = 0 } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const index = store.index('timestamp');
+
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 86400000;
+    const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+    await new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  if (maxEntries > 0) {
+    let excess = await requestToPromise(store.count()) - maxEntries;
+    if (excess > 0) {
+      const request = index.openCursor(); // Oldest first
+      await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || excess <= 0) return resolve();
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+  }
+
+  await transactionDone(tx);
+}
+
+// Most recent entry of a conversation, or null
+async function getLatestHistoryEntry(conversationKey) {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  const index = tx.objectStore(HISTORY_STORE).index('conversationKey');
+  // Entries with the same key come in id order, so the last one is the newest
+  const cursor = await requestToPromise(index.openCursor(IDBKeyRange.only(conversationKey), 'prev'));
+  return cursor ? cursor.value : null;
+}
+
+async function clearHistory() {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  tx.objectStore(HISTORY_STORE).clear();
+  await transactionDone(tx);
+}
+
+// Export / Import
+
+const HISTORY_EXPORT_FORMAT = 'chatgpt-notifier-history';
+const HISTORY_EXPORT_VERSION = 1;
+
+// Export format -> { label, extension, mimeType }
+const HISTORY_EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Every stored entry, oldest first
+async function getAllHistoryEntries() {
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(HISTORY_STORE).index('timestamp').getAll());
+}
+
+// Full response when captured, else the preview
+function getHistoryEntryText(entry) {
+  return entry.text || entry.preview || '';
+}
+
+function formatHistoryJson(entries) {
+  return JSON.stringify({
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ id, ...entry }) => entry) // IDs are local to this profile
+  }, null, 2);
+}
+
+// Quote every field; a leading =, +, - or @ is escaped so spreadsheets don't run it as a formula
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = "'" + text;
+  return '"' + text.replace(/"/g, '""') + '"';
+}
+
+function formatHistoryCsv(entries) {
+  const header = ['timestamp', 'site', 'title', 'url', 'model', 'duration_ms', 'text'];
+  const rows = entries.map(entry => [
+    new Date(entry.timestamp).toISOString(),
+    entry.site,
+    entry.title,
+    entry.url,
+    entry.model || '',
+    entry.duration || 0,
+    getHistoryEntryText(entry)
+  ].map(csvField).join(','));
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function formatHistoryMarkdown(entries) {
+  const lines = [
+    '# Completion history',
+    '',
+    `Exported ${new Date().toLocaleString()} · ${entries.length} ${entries.length === 1 ? 'completion' : 'completions'}`
+  ];
+  for (const entry of entries) {
+    const site = getSiteAdapterById(entry.site);
+    const details = [
+      new Date(entry.timestamp).toLocaleString(),
+      site ? site.name : entry.site,
+      entry.model,
+      entry.duration ? `${Math.round(entry.duration / 1000)}s` : null
+    ].filter(Boolean);
+    lines.push(
+      '',
+      `## ${(entry.title || 'Untitled').replace(/\n/g, ' ')}`,
+      '',
+      `${details.join(' · ')} · <${entry.url}>`,
+      '',
+      ...getHistoryEntryText(entry).split('\n').map(line => `> ${line}`)
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatHistoryExport(entries, format) {
+  if (format === 'csv') return formatHistoryCsv(entries);
+  if (format === 'markdown') return formatHistoryMarkdown(entries);
+  return formatHistoryJson(entries);
+}
+
+// Imported URLs are opened from the popup: only http(s) links to a supported assistant
+function isImportableUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) && !!getSiteAdapterForUrl(url);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Validate one imported entry; returns a clean HistoryEntry (without id) or null
+function sanitizeImportedEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (!Number.isFinite(raw.timestamp) || typeof raw.url !== 'string' || !isImportableUrl(raw.url)) return null;
+  const site = getSiteAdapterForUrl(raw.url);
+  const entry = {
+    timestamp: raw.timestamp,
+    site: site.id,
+    title: typeof raw.title === 'string' ? raw.title : '',
+    url: raw.url,
+    conversationKey: getConversationKey(raw.url),
+    model: typeof raw.model === 'string' ? raw.model : null,
+    duration: Number.isFinite(raw.duration) && raw.duration > 0 ? raw.duration : 0,
+    preview: typeof raw.preview === 'string' ? raw.preview : ''
+  };
+  if (typeof raw.text === 'string') entry.text = raw.text;
+  return entry;
+}
+
+// Same completion: same URL finished at the same moment
+function historyEntryKey(entry) {
+  return `${entry.timestamp}|${entry.url}`;
+}
+
+// Merge a JSON export (or a bare array of entries) into the store, skipping entries
+// already present, then apply the retention limits (see pruneHistory).
+// Returns { added, skipped } (skipped = duplicates + invalid entries).
+async function importHistory(data, retention = {}) {
+  const rawEntries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(rawEntries)) {
+    throw new Error('Not a history export');
+  }
+
+  const existing = new Set((await getAllHistoryEntries()).map(historyEntryKey));
+  const db = await openDatabase();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  let added = 0;
+  for (const raw of rawEntries) {
+    const entry = sanitizeImportedEntry(raw);
+    if (!entry || existing.has(historyEntryKey(entry))) continue;
+    existing.add(historyEntryKey(entry));
+    store.add(entry);
+    added++;
+  }
+  await transactionDone(tx);
+  await pruneHistory(retention);
+  return { added, skipped: rawEntries.length - added };
+}
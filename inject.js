@@ -1,15 +1,241 @@
 // ChatGPT Completion Notifier - Fetch Interceptor
-// Runs in MAIN world to intercept fetch requests and extract timestamps
+// Runs in MAIN world to intercept fetch requests, extract timestamps and observe generation streams
 
 (function() {
   'use strict';
 
+  // Post a generation lifecycle event to the content script
+  // event: 'start' | 'first_token' | 'finished' | 'error'
+  // error reason: 'network' | 'server' | 'usage_limit' (generation failed),
+  //               'aborted' | 'unobservable' (outcome unknown, content script falls back to the DOM)
+  function postStreamEvent(event, detail = {}) {
+    window.postMessage({
+      type: 'CHATGPT_NOTIFIER_STREAM',
+      event: event,
+      at: Date.now(),
+      ...detail
+    }, '*');
+  }
+
+  // Reasoning models by slug (o1, o3-pro, gpt-5-thinking, ...); a stream with thoughts also counts
+  function isReasoningModelSlug(slug) {
+    return /^o\d|thinking|reasoning/i.test(slug);
+  }
+
+  // Post the model a conversation uses to the content script
+  function postModel(slug, reasoning = false) {
+    if (typeof slug !== 'string' || !slug) return;
+    window.postMessage({
+      type: 'CHATGPT_NOTIFIER_MODEL',
+      model: slug,
+      reasoning: reasoning || isReasoningModelSlug(slug)
+    }, '*');
+  }
+
+  // Model requested in a generation POST body (the server may still route to another one)
+  function getRequestedModel(args) {
+    const body = args[1]?.body;
+    if (typeof body !== 'string') return null;
+    try {
+      return JSON.parse(body).model || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Generation requests are POSTs to /backend-api/conversation (or /backend-api/f/conversation)
+  function isGenerationRequest(url, method) {
+    if (method !== 'POST') return false;
+    try {
+      const path = new URL(url, location.origin).pathname;
+      return /^\/backend-api\/(f\/)?conversation\/?$/.test(path);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function getRequestMethod(args) {
+    const method = args[1]?.method || (args[0] instanceof Request ? args[0].method : 'GET');
+    return method.toUpperCase();
+  }
+
+  // Extract the text appended by one event-stream payload.
+  // Handles both the legacy full-message format and the newer delta encoding.
+  function parseStreamPayload(payload, stream) {
+    const message = payload.message || payload.v?.message;
+    if (message) {
+      if (payload.conversation_id || payload.v?.conversation_id) {
+        stream.conversationId = payload.conversation_id || payload.v.conversation_id;
+      }
+      // Later delta ops patch this message: remember who wrote it and what kind of content it is
+      stream.messageRole = message.author?.role || null;
+      stream.contentType = message.content?.content_type || null;
+      stream.lastPath = null;
+      stream.lastOp = null;
+      if (message.author?.role !== 'assistant') return;
+      // Legacy format resends the whole text; only the final assistant message ends the turn
+      const parts = message.content?.parts;
+      if (Array.isArray(parts) && typeof parts[0] === 'string') {
+        stream.text = parts[0];
+      }
+      if (message.status === 'finished_successfully' && message.end_turn === true) {
+        stream.finished = true;
+      }
+      // 'max_tokens' means the answer was cut off and the page offers "Continue generating"
+      if (message.metadata?.finish_details?.type) {
+        stream.finishType = message.metadata.finish_details.type;
+      }
+      // The model that actually answered (auto-routing can pick a different one)
+      if (message.metadata?.model_slug) {
+        stream.model = message.metadata.model_slug;
+      }
+      if (['thoughts', 'reasoning_recap'].includes(message.content?.content_type)) {
+        stream.reasoning = true;
+      }
+      return;
+    }
+
+    // Delta encoding: { p, o, v } operations; a bare { v } continues the previous op's path.
+    // Only answer text counts: not reasoning (/message/content/thoughts/...) or tool output.
+    const ops = payload.o === 'patch' && Array.isArray(payload.v) ? payload.v : [payload];
+    const isAnswerMessage = stream.messageRole === 'assistant' && stream.contentType === 'text';
+    for (const op of ops) {
+      if (op.p !== undefined) {
+        stream.lastPath = op.p;
+        stream.lastOp = op.o || 'append';
+      } else if (op.o) {
+        stream.lastOp = op.o;
+      }
+      const isTextPath = typeof stream.lastPath === 'string' && stream.lastPath.startsWith('/message/content/parts/');
+      if (typeof op.v === 'string' && isAnswerMessage && isTextPath && stream.lastOp === 'append') {
+        stream.text += op.v;
+      }
+    }
+  }
+
+  // Read our copy of the event stream and report start/first token/finish/error
+  async function observeGenerationStream(response) {
+    const stream = {
+      text: '', finished: false, finishType: null, conversationId: null, model: null, reasoning: false,
+      messageRole: null, contentType: null, lastPath: null, lastOp: null
+    };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let sawToken = false;
+
+    function handleEvent(rawEvent) {
+      const data = rawEvent.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) return;
+
+      if (data === '[DONE]') {
+        stream.finished = true;
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (e) {
+        return; // Not JSON (e.g. keep-alive), ignore
+      }
+
+      if (payload.error) {
+        stream.error = typeof payload.error === 'string' ? payload.error : (payload.error.message || 'error');
+        return;
+      }
+      if (payload.type === 'message_stream_complete') {
+        stream.finished = true;
+        return;
+      }
+      parseStreamPayload(payload, stream);
+
+      if (!sawToken && stream.text.length > 0) {
+        sawToken = true;
+        postStreamEvent('first_token', { conversationId: stream.conversationId });
+      }
+    }
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(handleEvent);
+      }
+      if (buffer) handleEvent(buffer);
+    } catch (e) {
+      // The page aborts the request when the user presses Stop
+      const reason = e.name === 'AbortError' ? 'aborted' : 'network';
+      console.log('[ChatGPT Notifier] Generation stream interrupted:', reason, e.message);
+      postStreamEvent('error', { reason: reason, conversationId: stream.conversationId });
+      return;
+    }
+
+    if (stream.error) {
+      const reason = /limit|cap|too many/i.test(stream.error) ? 'usage_limit' : 'server';
+      postStreamEvent('error', { reason: reason, message: stream.error, conversationId: stream.conversationId });
+      return;
+    }
+
+    if (stream.model) {
+      postModel(stream.model, stream.reasoning);
+    }
+
+    // Without an end marker the stream may have closed mid-turn (resume hand-off, tool-call hop
+    // with end_turn: false), so let the content script decide from the DOM
+    if (!stream.finished) {
+      console.log('[ChatGPT Notifier] Generation stream closed without an end marker');
+      postStreamEvent('error', { reason: 'unobservable', conversationId: stream.conversationId });
+      return;
+    }
+
+    postStreamEvent('finished', { conversationId: stream.conversationId, text: stream.text, finishType: stream.finishType });
+    console.log('[ChatGPT Notifier] Generation stream finished');
+  }
+
   const originalFetch = window.fetch;
   window.fetch = async function(...args) {
-    const response = await originalFetch.apply(this, args);
+    const url = (args[0] instanceof Request ? args[0].url : args[0]?.toString()) || '';
+    const generation = isGenerationRequest(url, getRequestMethod(args));
+
+    if (generation) {
+      postStreamEvent('start');
+      postModel(getRequestedModel(args));
+    }
+
+    let response;
+    try {
+      response = await originalFetch.apply(this, args);
+    } catch (e) {
+      if (generation) {
+        postStreamEvent('error', { reason: e.name === 'AbortError' ? 'aborted' : 'network' });
+      }
+      throw e;
+    }
+
+    if (generation) {
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok) {
+        // 429 = usage cap / rate limit; anything else is a server-side failure
+        const reason = response.status === 429 ? 'usage_limit' : 'server';
+        postStreamEvent('error', { reason: reason, status: response.status });
+      } else if (contentType.includes('text/event-stream') && response.body) {
+        // clone() tees the body: the page reads the original, we read the copy
+        observeGenerationStream(response.clone());
+      } else {
+        // Can't observe this response; content script falls back to DOM detection
+        postStreamEvent('error', { reason: 'unobservable' });
+      }
+      return response;
+    }
 
     // Check if this is a conversation API call
-    const url = args[0]?.toString() || '';
     if (url.includes('/backend-api/conversation/') && !url.includes('/generation')) {
       try {
         const clone = response.clone();
@@ -23,6 +249,9 @@
           }, '*');
           console.log('[ChatGPT Notifier] Posted timestamp:', new Date(data.update_time * 1000).toLocaleString());
         }
+        // Model of the latest message, else the conversation default
+        const currentMessage = data.mapping?.[data.current_node]?.message;
+        postModel(currentMessage?.metadata?.model_slug || data.default_model_slug);
       } catch (e) {
         console.log('[ChatGPT Notifier] Failed to parse API response:', url, e.message);
       }
@@ -0,0 +1,125 @@
+// ChatGPT Completion Notifier - Markdown Rendering
+// Renders a response (markdown as captured from the stream) for the popup's expanded rows.
+// Everything is HTML-escaped first and only a fixed set of tags is produced: no raw HTML,
+// attributes or URLs from the response ever reach the page. Links are shown as text.
+
+function escapeMarkdownHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline code, bold, italics and [label](url) links (rendered as "label (url)")
+function renderMarkdownInline(text) {
+  const codeSpans = [];
+  let html = escapeMarkdownHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+  return html.replace(/\u0000(\d+)\u0000/g, (match, i) => codeSpans[Number(i)]);
+}
+
+// Render markdown to HTML. Fenced code blocks get data-code-index, an index into the
+// returned codeBlocks (raw text for the copy buttons).
+// Returns { html, codeBlocks }.
+function renderMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const codeBlocks = [];
+  const out = [];
+  let paragraph = [];
+  let list = null; // { tag: 'ul' | 'ol', items: string[] }
+
+  function flushParagraph() {
+    if (paragraph.length > 0) {
+      out.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  }
+
+  function flushList() {
+    if (list) {
+      out.push(`<${list.tag}>${list.items.map(item => `<li>${renderMarkdownInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      // An unterminated fence (cut-off answer) runs to the end
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+      }
+      codeBlocks.push(code.join('\n'));
+      const language = fence[2] ? `<span class="code-language">${escapeMarkdownHtml(fence[2])}</span>` : '';
+      out.push(`
+        <div class="code-block">
+          <div class="code-header">${language}<button class="copy-btn" data-code-index="${codeBlocks.length - 1}">Copy</button></div>
+          <pre><code>${escapeMarkdownHtml(code.join('\n'))}</code></pre>
+        </div>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      out.push(`<div class="md-heading">${renderMarkdownInline(heading[2])}</div>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      out.push('<hr>');
+      continue;
+    }
+
+    const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const tag = item[1] ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag: tag, items: [] };
+      list.items.push(item[3]);
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      flushList();
+      out.push(`<blockquote>${renderMarkdownInline(quote[1])}</blockquote>`);
+      continue;
+    }
+
+    // Continuation of a list item or a paragraph line
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1] += ' ' + line.trim();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  flushList();
+  return { html: out.join(''), codeBlocks: codeBlocks };
+}
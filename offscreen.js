@@ -1,15 +1,45 @@
-// Offscreen document for audio playback
-// Service workers can't play audio directly, so we use this offscreen document
+// Offscreen document for audio playback and clipboard access
+// Service workers can't play audio or touch the clipboard directly, so we use this offscreen document
 
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === 'PLAY_SOUND') {
-    const soundFile = message.sound || 'chime';
-    const audio = new Audio(`sounds/${soundFile}.mp3`);
-    // Apply volume from settings (0.0 - 1.0)
-    if (typeof message.volume === 'number') {
-      audio.volume = Math.max(0, Math.min(1, message.volume));
+// Resolve a selectedSound value to a playable URL (bundled file or uploaded blob)
+async function resolveSoundUrl(sound) {
+  if (isCustomSound(sound)) {
+    const custom = await getCustomSound(getCustomSoundId(sound));
+    if (custom) {
+      return URL.createObjectURL(custom.blob);
     }
-    audio.play().catch(err => {
+    console.warn('[ChatGPT Notifier] Custom sound not found, using default:', sound);
+    return 'sounds/chime.mp3';
+  }
+  return `sounds/${sound || 'chime'}.mp3`;
+}
+
+// Offscreen documents can't take focus, so navigator.clipboard is unavailable; use execCommand
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  const success = document.execCommand('copy');
+  textarea.remove();
+  return success;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'COPY_TO_CLIPBOARD') {
+    sendResponse({ success: copyText(message.text || '') });
+  } else if (message.type === 'PLAY_SOUND') {
+    resolveSoundUrl(message.sound).then(url => {
+      const audio = new Audio(url);
+      // Apply volume from settings (0.0 - 1.0)
+      if (typeof message.volume === 'number') {
+        audio.volume = Math.max(0, Math.min(1, message.volume));
+      }
+      if (url.startsWith('blob:')) {
+        audio.addEventListener('ended', () => URL.revokeObjectURL(url), { once: true });
+      }
+      return audio.play();
+    }).catch(err => {
       console.error('[ChatGPT Notifier] Failed to play sound:', err);
     });
   }
@@ -1,12 +1,35 @@
 // ChatGPT Completion Notifier - Popup Script (Dashboard)
 
+// The same page runs as the action popup and as the side panel. The side panel stays open
+// while browsing, so it doesn't close after actions and remembers its search, filters and scroll.
+const IS_SIDE_PANEL = !chrome.extension.getViews({ type: 'popup' }).includes(window);
+const SIDE_PANEL_STATE_KEY = 'sidePanelState';
+
 // DOM Elements - Dashboard
 const dashboardView = document.getElementById('dashboard-view');
 const settingsView = document.getElementById('settings-view');
 const settingsToggle = document.getElementById('settings-toggle');
 const settingsBack = document.getElementById('settings-back');
+const historyView = document.getElementById('history-view');
+const historyToggle = document.getElementById('history-toggle');
+const historyBack = document.getElementById('history-back');
+const statsView = document.getElementById('stats-view');
+const statsToggle = document.getElementById('stats-toggle');
+const statsBack = document.getElementById('stats-back');
+const rulesView = document.getElementById('rules-view');
+const rulesBack = document.getElementById('rules-back');
+const profileSelect = document.getElementById('profile-select');
+const sidePanelOpenBtn = document.getElementById('side-panel-open');
+const stopSpeakingBtn = document.getElementById('stop-speaking');
+const snoozeToggle = document.getElementById('snooze-toggle');
+const snoozeMenu = document.getElementById('snooze-menu');
+const snoozeStatus = document.getElementById('snooze-status');
+const snoozeResume = document.getElementById('snooze-resume');
 const searchInput = document.getElementById('search-input');
+const providerFilter = document.getElementById('provider-filter');
+const modelFilter = document.getElementById('model-filter');
 const tabsCount = document.getElementById('tabs-count');
+const markAllReadBtn = document.getElementById('mark-all-read');
 const tabsList = document.getElementById('tabs-list');
 const emptyState = document.getElementById('empty-state');
 
@@ -18,41 +41,145 @@ const volumeValue = document.getElementById('volume-value');
 const soundRow = document.getElementById('sound-row');
 const soundSelect = document.getElementById('sound-select');
 const previewSoundBtn = document.getElementById('preview-sound');
+const uploadSoundBtn = document.getElementById('upload-sound');
+const deleteSoundBtn = document.getElementById('delete-sound');
+const soundFileInput = document.getElementById('sound-file');
+const soundError = document.getElementById('sound-error');
+const customSoundsGroup = document.getElementById('custom-sounds-group');
 const notificationsToggle = document.getElementById('notifications-toggle');
 const previewSelect = document.getElementById('preview-select');
+const focusModeSelect = document.getElementById('focus-mode-select');
+const coalesceSelect = document.getElementById('coalesce-select');
+const stallSelect = document.getElementById('stall-select');
+const longRunningSelect = document.getElementById('long-running-select');
+const errorAlertsToggle = document.getElementById('error-alerts-toggle');
+const errorSoundRow = document.getElementById('error-sound-row');
+const errorSoundSelect = document.getElementById('error-sound-select');
+const previewErrorSoundBtn = document.getElementById('preview-error-sound');
+const attentionAlertsToggle = document.getElementById('attention-alerts-toggle');
+const attentionSoundRow = document.getElementById('attention-sound-row');
+const attentionSoundSelect = document.getElementById('attention-sound-select');
+const previewAttentionSoundBtn = document.getElementById('preview-attention-sound');
+const ttsToggle = document.getElementById('tts-toggle');
+const ttsVoiceRow = document.getElementById('tts-voice-row');
+const ttsVoiceSelect = document.getElementById('tts-voice-select');
+const previewTtsBtn = document.getElementById('preview-tts');
+const ttsRateRow = document.getElementById('tts-rate-row');
+const ttsRateSelect = document.getElementById('tts-rate-select');
+const ttsLengthRow = document.getElementById('tts-length-row');
+const ttsLengthSelect = document.getElementById('tts-length-select');
+const reminderToggle = document.getElementById('reminder-toggle');
+const reminderIntervalRow = document.getElementById('reminder-interval-row');
+const reminderIntervalSelect = document.getElementById('reminder-interval-select');
+const reminderCountRow = document.getElementById('reminder-count-row');
+const reminderCountSelect = document.getElementById('reminder-count-select');
+const reminderEscalateRow = document.getElementById('reminder-escalate-row');
+const reminderEscalateToggle = document.getElementById('reminder-escalate-toggle');
 const autoEnableToggle = document.getElementById('auto-enable-toggle');
 const delaySelect = document.getElementById('delay-select');
+const badgeModeSelect = document.getElementById('badge-mode-select');
+const quietToggle = document.getElementById('quiet-toggle');
+const quietStart = document.getElementById('quiet-start');
+const quietEnd = document.getElementById('quiet-end');
+const quietDays = document.getElementById('quiet-days');
+const quietModeSelect = document.getElementById('quiet-mode-select');
+const historyMaxSelect = document.getElementById('history-max-select');
+const historyDaysSelect = document.getElementById('history-days-select');
+const clearHistoryBtn = document.getElementById('clear-history');
+const profileNewBtn = document.getElementById('profile-new');
+const profileDeleteBtn = document.getElementById('profile-delete');
+const settingsExportBtn = document.getElementById('settings-export');
+const settingsImportBtn = document.getElementById('settings-import');
+const settingsImportFile = document.getElementById('settings-import-file');
+const settingsTransferStatus = document.getElementById('settings-transfer-status');
+const historyExportFormat = document.getElementById('history-export-format');
+const historyExportBtn = document.getElementById('history-export');
+const historyImportBtn = document.getElementById('history-import');
+const historyImportFile = document.getElementById('history-import-file');
+const historyTransferStatus = document.getElementById('history-transfer-status');
+const webhooksList = document.getElementById('webhooks-list');
+const webhookAddRow = document.getElementById('webhook-add-row');
+const webhookAddBtn = document.getElementById('webhook-add');
+const webhookForm = document.getElementById('webhook-form');
+const webhookUrlInput = document.getElementById('webhook-url');
+const webhookEventsEl = document.getElementById('webhook-events');
+const webhookTemplateInput = document.getElementById('webhook-template');
+const webhookError = document.getElementById('webhook-error');
+const webhookCancelBtn = document.getElementById('webhook-cancel');
+const webhookSaveBtn = document.getElementById('webhook-save');
+const webhookLogEl = document.getElementById('webhook-log');
+const rulesCount = document.getElementById('rules-count');
+const rulesOpenBtn = document.getElementById('rules-open');
+
+// DOM Elements - Alert Rules
+const rulesList = document.getElementById('rules-list');
+const ruleAddRow = document.getElementById('rule-add-row');
+const ruleAddBtn = document.getElementById('rule-add');
+const ruleForm = document.getElementById('rule-form');
+const ruleNameInput = document.getElementById('rule-name');
+const ruleTitleInput = document.getElementById('rule-title');
+const ruleUrlInput = document.getElementById('rule-url');
+const ruleResponseInput = document.getElementById('rule-response');
+const ruleModelInput = document.getElementById('rule-model');
+const ruleMinDurationInput = document.getElementById('rule-min-duration');
+const ruleMaxDurationInput = document.getElementById('rule-max-duration');
+const ruleActionSelect = document.getElementById('rule-action');
+const ruleError = document.getElementById('rule-error');
+const ruleCancelBtn = document.getElementById('rule-cancel');
+const ruleSaveBtn = document.getElementById('rule-save');
+const rulesTestBtn = document.getElementById('rules-test');
+const rulesTestResults = document.getElementById('rules-test-results');
+const modelDefaultsList = document.getElementById('model-defaults-list');
+const modelDefaultsEmpty = document.getElementById('model-defaults-empty');
+
+// DOM Elements - History
+const historySearch = document.getElementById('history-search');
+const historyRange = document.getElementById('history-range');
+const historyCount = document.getElementById('history-count');
+const historyList = document.getElementById('history-list');
+const historyEmpty = document.getElementById('history-empty');
+const historyPrev = document.getElementById('history-prev');
+const historyNext = document.getElementById('history-next');
+const historyPage = document.getElementById('history-page');
+
+// DOM Elements - Stats
+const statsRange = document.getElementById('stats-range');
+const statsTotal = document.getElementById('stats-total');
+const statsCompleted = document.getElementById('stats-completed');
+const statsMedian = document.getElementById('stats-median');
+const statsP90 = document.getElementById('stats-p90');
+const statsErrors = document.getElementById('stats-errors');
+const statsPerDay = document.getElementById('stats-per-day');
+const statsPerDayAxis = document.getElementById('stats-per-day-axis');
+const statsSplitThinking = document.getElementById('stats-split-thinking');
+const statsSplitWriting = document.getElementById('stats-split-writing');
+const statsThinking = document.getElementById('stats-thinking');
+const statsWriting = document.getElementById('stats-writing');
+const statsPerHour = document.getElementById('stats-per-hour');
+const statsConversations = document.getElementById('stats-conversations');
+const statsEmpty = document.getElementById('stats-empty');
+const clearStatsBtn = document.getElementById('clear-stats');
 
 // State
 let allTabs = [];
-let settingsVisible = false;
+let currentView = 'dashboard'; // 'dashboard' | 'settings' | 'history' | 'stats' | 'rules'
 let searchQuery = '';
+let providerQuery = ''; // SiteAdapter id, '' = all providers
+let modelQuery = ''; // model slug, '' = all models
+let sidePanelStateTimer = null;
+let currentWindowId = null; // For opening the side panel (must happen within the click)
 let timerInterval = null;
 let relativeTimeInterval = null;
+let historyQuery = { search: '', range: 'all', page: 0 };
+let historyEntries = new Map(); // id -> HistoryEntry of the current page
+const expandedTabIds = new Set(); // Dashboard rows showing their last response
+const tabResponses = new Map(); // tabId -> { completedAt, text }
+let webhooks = [];
+let editingWebhookId = null; // null = adding a new webhook
+let rules = [];
+let editingRuleId = null; // null = adding a new rule
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  soundEnabled: true,
-  soundVolume: 0.5,
-  selectedSound: 'success',
-  notificationsEnabled: true,
-  previewLength: 100,
-  autoEnableEnabled: true,
-  stabilityWindowMs: 1500
-};
-
-const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS);
-
-function sanitizeSettings(raw) {
-  const sanitized = { ...DEFAULT_SETTINGS };
-  if (!raw || typeof raw !== 'object') return sanitized;
-  for (const key of SETTINGS_KEYS) {
-    if (Object.prototype.hasOwnProperty.call(raw, key)) {
-      sanitized[key] = raw[key];
-    }
-  }
-  return sanitized;
-}
+const HISTORY_PAGE_SIZE = 20;
 
 // State labels
 const STATE_LABELS = {
@@ -60,7 +187,15 @@ const STATE_LABELS = {
   generating: 'Generating...',
   thinking: 'Thinking...',
   writing: 'Writing...',
-  completed: 'Completed'
+  completed: 'Completed',
+  error: 'Error',
+  needs_attention: 'Needs input'
+};
+
+// Generation warning -> marker tooltip
+const WARNING_LABELS = {
+  stalled: 'Stalled: no progress for a while',
+  long_running: 'Still running: taking longer than usual'
 };
 
 // Bell icon SVG
@@ -69,6 +204,27 @@ const BELL_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" f
   <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
 </svg>`;
 
+// Fast-forward icon SVG (auto-continue)
+const CONTINUE_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+  <polygon points="13 19 22 12 13 5 13 19"></polygon>
+  <polygon points="2 19 11 12 2 5 2 19"></polygon>
+</svg>`;
+
+// Chevron icon SVG (expand response)
+const EXPAND_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+  <polyline points="6 9 12 15 18 9"></polyline>
+</svg>`;
+
+// Escape text for safe insertion into HTML (page content is untrusted)
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Format relative time
 function formatRelativeTime(timestamp) {
   if (!timestamp) return '';
@@ -115,6 +271,12 @@ function getStateLabel(tab) {
 
   const timestamp = getTimestamp(tab);
 
+  if (tab.currentState === 'needs_attention') {
+    return ATTENTION_LABELS[tab.attentionKind] || STATE_LABELS.needs_attention;
+  }
+  if (tab.currentState === 'error') {
+    return ERROR_REASON_LABELS[tab.errorReason] || STATE_LABELS.error;
+  }
   if (tab.currentState === 'completed' && timestamp) {
     return `Completed ${formatRelativeTime(timestamp)}`;
   }
@@ -164,13 +326,17 @@ function updateRelativeTimeLabels() {
   });
 }
 
-// Clean title (remove "ChatGPT" prefix if present)
-function cleanTitle(title) {
-  if (!title) return 'ChatGPT';
-  // Remove common prefixes
-  let cleaned = title.replace(/^ChatGPT\s*[-|]\s*/i, '');
-  if (cleaned.length === 0 || cleaned === 'ChatGPT') {
-    return 'ChatGPT';
+// Get the site adapter for a tab (falls back to ChatGPT for older entries)
+function getTabSite(tab) {
+  return getSiteAdapterById(tab.site) || getSiteAdapterById('chatgpt');
+}
+
+// Clean title (remove the provider's name prefix/suffix if present)
+function cleanTitle(title, site = getSiteAdapterById('chatgpt')) {
+  if (!title) return site.name;
+  let cleaned = title.replace(site.titlePattern, '').trim();
+  if (cleaned.length === 0 || cleaned.toLowerCase() === site.name.toLowerCase()) {
+    return site.name;
   }
   return cleaned;
 }
@@ -179,54 +345,101 @@ function cleanTitle(title) {
 function renderTabRow(tab) {
   const stateClass = tab.currentState || 'idle';
   const stateLabel = getStateLabel(tab);
-  const title = cleanTitle(tab.title);
+  const site = getTabSite(tab);
+  const title = cleanTitle(tab.title, site);
   const isActive = ['generating', 'thinking', 'writing'].includes(tab.currentState);
 
   // Build timer display for active states
   let timerHtml = '';
   if (isActive && tab.generationStartedAt) {
     const elapsed = formatElapsedTime(Date.now() - tab.generationStartedAt);
-    timerHtml = `<span class="tab-timer" data-start-time="${tab.generationStartedAt}">${elapsed}</span>`;
+    timerHtml = `<span class="tab-timer ${tab.warning ? 'warning' : ''}" data-start-time="${tab.generationStartedAt}">${elapsed}</span>`;
   }
 
+  // Stalled or long-running generation (see GENERATION_WARNING in background.js)
+  const warningHtml = isActive && WARNING_LABELS[tab.warning] ? `
+            <span class="tab-warning" title="${WARNING_LABELS[tab.warning]}">&#9888;</span>` : '';
+
+  // Model chip, highlighted for reasoning models
+  const modelHtml = tab.model ? `
+            <span class="tab-model ${tab.reasoning ? 'reasoning' : ''}"
+                  title="${tab.reasoning ? 'Reasoning model' : 'Model'}">${escapeHtml(tab.model)}</span>` : '';
+
+  const hasResponse = tab.completions?.length > 0;
+  const expanded = hasResponse && expandedTabIds.has(tab.tabId);
+  const expandHtml = hasResponse ? `
+        <button class="expand-toggle ${expanded ? 'active' : ''}"
+                title="${expanded ? 'Hide response' : 'Show response'}">
+          ${EXPAND_ICON}
+        </button>` : '';
+
+  // Auto-continue only for sites that cut long answers off with a Continue button
+  const continueHtml = site.canContinue ? `
+        <button class="auto-continue-toggle ${tab.autoContinue ? 'active' : ''}"
+                title="${tab.autoContinue ? 'Auto-continue on' : 'Auto-continue off'}">
+          ${CONTINUE_ICON}
+        </button>` : '';
+
   return `
-    <div class="tab-row" data-tab-id="${tab.tabId}" data-window-id="${tab.windowId}">
+    <div class="tab-row ${tab.currentState === 'needs_attention' ? 'needs-attention' : ''} ${tab.unread ? 'unread' : ''}" data-tab-id="${tab.tabId}" data-window-id="${tab.windowId}">
       <div class="tab-main">
         <div class="tab-status">
           <div class="status-dot ${stateClass}"></div>
         </div>
         <div class="tab-info">
-          <div class="tab-title" title="${tab.title || 'ChatGPT'}">${title}</div>
+          <div class="tab-title" title="${escapeHtml(tab.title || site.name)}">${escapeHtml(title)}</div>
           <div class="tab-meta">
-            <span class="tab-state ${stateClass}">${stateLabel}</span>
+            <span class="tab-provider ${site.id}">${site.name}</span>${modelHtml}
+            <span class="tab-state ${stateClass}">${stateLabel}</span>${warningHtml}
             ${timerHtml}
           </div>
         </div>
       </div>
-      <div class="tab-actions">
+      <div class="tab-actions">${expandHtml}${continueHtml}
         <button class="monitor-toggle ${tab.isMonitored ? 'active' : ''}"
                 title="${tab.isMonitored ? 'Notifications on' : 'Notifications off'}">
           ${BELL_ICON}
         </button>
       </div>
+      ${expanded ? '<div class="response-panel"><div class="hint-text">Loading...</div></div>' : ''}
     </div>
   `;
 }
 
+// Offer the models of the open tabs in the model filter (hidden while no tab reports one)
+function updateModelFilter() {
+  const models = [...new Set(allTabs.map(tab => tab.model).filter(Boolean))].sort();
+  if (modelQuery && !models.includes(modelQuery)) {
+    models.push(modelQuery); // Keep the active filter selectable
+  }
+  const current = Array.from(modelFilter.options).slice(1).map(option => option.value);
+  if (current.join('\n') !== models.join('\n')) {
+    modelFilter.innerHTML = '<option value="">All models</option>' + models.map(model =>
+      `<option value="${escapeHtml(model)}">${escapeHtml(model)}</option>`
+    ).join('');
+    modelFilter.value = modelQuery;
+  }
+  modelFilter.classList.toggle('hidden', models.length === 0);
+}
+
 // Render the tabs list
 function renderTabsList() {
+  updateModelFilter();
+  markAllReadBtn.classList.toggle('hidden', !allTabs.some(tab => tab.unread));
+
   if (allTabs.length === 0) {
     tabsList.classList.add('hidden');
     emptyState.classList.remove('hidden');
-    tabsCount.textContent = 'No ChatGPT tabs';
+    tabsCount.textContent = 'No assistant tabs';
     stopRelativeTimeUpdates();
     return;
   }
 
-  // Filter tabs by search query
+  // Filter tabs by provider, model and search query
   const filteredTabs = allTabs.filter(tab =>
-    !searchQuery ||
-    cleanTitle(tab.title).toLowerCase().includes(searchQuery)
+    (!providerQuery || getTabSite(tab).id === providerQuery) &&
+    (!modelQuery || tab.model === modelQuery) &&
+    (!searchQuery || cleanTitle(tab.title, getTabSite(tab)).toLowerCase().includes(searchQuery))
   );
 
   // Show empty state if no matches
@@ -245,26 +458,34 @@ function renderTabsList() {
   const activeTabs = filteredTabs.filter(t =>
     ['generating', 'thinking', 'writing'].includes(t.currentState)
   ).length;
+  const attentionTabs = filteredTabs.filter(t => t.currentState === 'needs_attention').length;
+  const unreadTabs = filteredTabs.filter(t => t.unread).length;
 
   // Update header with filtered count
-  if (searchQuery) {
+  if (searchQuery || providerQuery || modelQuery) {
     const matchWord = filteredTabs.length === 1 ? 'tab' : 'tabs';
     tabsCount.textContent = `${filteredTabs.length} of ${allTabs.length} ${matchWord}`;
   } else {
     const tabWord = allTabs.length === 1 ? 'tab' : 'tabs';
-    if (activeTabs > 0) {
-      tabsCount.textContent = `${allTabs.length} ChatGPT ${tabWord} (${activeTabs} active)`;
-    } else {
-      tabsCount.textContent = `${allTabs.length} ChatGPT ${tabWord}`;
-    }
+    const counts = [];
+    if (attentionTabs > 0) counts.push(`${attentionTabs} need input`);
+    if (activeTabs > 0) counts.push(`${activeTabs} active`);
+    if (unreadTabs > 0) counts.push(`${unreadTabs} unread`);
+    tabsCount.textContent = counts.length > 0
+      ? `${allTabs.length} ${tabWord} (${counts.join(', ')})`
+      : `${allTabs.length} ${tabWord}`;
   }
 
-  // Sort tabs: active first, then by most recent activity
+  // Sort tabs: waiting for input first, then active, then unread, then by most recent activity
   const sortedTabs = [...filteredTabs].sort((a, b) => {
+    const aAttention = a.currentState === 'needs_attention';
+    const bAttention = b.currentState === 'needs_attention';
+    if (aAttention !== bAttention) return aAttention ? -1 : 1;
     const aActive = ['generating', 'thinking', 'writing'].includes(a.currentState);
     const bActive = ['generating', 'thinking', 'writing'].includes(b.currentState);
     if (aActive && !bActive) return -1;
     if (!aActive && bActive) return 1;
+    if (!!a.unread !== !!b.unread) return a.unread ? -1 : 1;
     return (getTimestamp(b) || 0) - (getTimestamp(a) || 0);
   });
 
@@ -325,7 +546,7 @@ function attachTabRowListeners() {
         tabId: tabId,
         windowId: windowId
       });
-      window.close(); // Close popup after switching
+      closePopup(); // Close popup after switching
     });
 
     // Click bell to toggle monitoring
@@ -333,9 +554,105 @@ function attachTabRowListeners() {
       e.stopPropagation();
       toggleTabMonitoring(tabId);
     });
+
+    const continueToggle = row.querySelector('.auto-continue-toggle');
+    if (continueToggle) {
+      continueToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleAutoContinue(tabId);
+      });
+    }
+
+    const expandToggle = row.querySelector('.expand-toggle');
+    if (expandToggle) {
+      expandToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTabResponse(tabId);
+      });
+    }
+
+    const panel = row.querySelector('.response-panel');
+    if (panel) {
+      void showTabResponse(tabId, panel);
+    }
   });
 }
 
+// Response Panels
+
+function toggleTabResponse(tabId) {
+  if (expandedTabIds.has(tabId)) {
+    expandedTabIds.delete(tabId);
+  } else {
+    expandedTabIds.add(tabId);
+  }
+  renderTabsList();
+}
+
+// Fill a tab row's panel with its last response, fetched once per completion
+async function showTabResponse(tabId, panel) {
+  const tab = allTabs.find(t => t.tabId === tabId);
+  const completedAt = tab?.completions?.[0]?.timestamp || 0;
+  let cached = tabResponses.get(tabId);
+  if (!cached || cached.completedAt !== completedAt) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_LATEST_RESPONSE', tabId: tabId, since: completedAt });
+    cached = { completedAt: completedAt, text: response?.text || '' };
+    tabResponses.set(tabId, cached);
+  }
+  if (panel.isConnected) {
+    renderResponsePanel(panel, cached.text);
+  }
+}
+
+// Render a response as markdown with copy buttons for the whole answer and each code block
+function renderResponsePanel(panel, text) {
+  const { html, codeBlocks } = renderMarkdown(text);
+  panel.innerHTML = `
+    <div class="response-toolbar">
+      <button class="copy-btn" data-copy="all">Copy answer</button>
+    </div>
+    <div class="response-body">${html || '<div class="hint-text">No response text</div>'}</div>
+  `;
+  // Handle clicks here so selecting or copying doesn't open the conversation
+  panel.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const button = e.target.closest('.copy-btn');
+    if (!button) return;
+    const copyText = button.dataset.copy === 'all' ? text : codeBlocks[Number(button.dataset.codeIndex)];
+    void copyWithFeedback(copyText, button);
+  });
+}
+
+async function copyWithFeedback(text, button) {
+  const label = button.textContent;
+  try {
+    await navigator.clipboard.writeText(text);
+    button.textContent = 'Copied';
+  } catch (e) {
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    button.textContent = label;
+  }, 1500);
+}
+
+// Toggle clicking "Continue generating" automatically for a tab
+async function toggleAutoContinue(tabId) {
+  const tab = allTabs.find(t => t.tabId === tabId);
+  if (!tab) return;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_AUTO_CONTINUE',
+      tabId: tabId,
+      enabled: !tab.autoContinue
+    });
+    tab.autoContinue = response.autoContinue;
+    renderTabsList();
+  } catch (err) {
+    console.error('Failed to toggle auto-continue:', err);
+  }
+}
+
 // Toggle monitoring for a specific tab
 async function toggleTabMonitoring(tabId) {
   try {
@@ -355,12 +672,782 @@ async function toggleTabMonitoring(tabId) {
   }
 }
 
-// Toggle between dashboard and settings view
-function showSettings(show) {
-  settingsVisible = show;
-  dashboardView.classList.toggle('hidden', show);
-  settingsView.classList.toggle('hidden', !show);
-  settingsToggle.classList.toggle('active', show);
+// Switch between dashboard, settings and history views
+function showView(view) {
+  currentView = view;
+  dashboardView.classList.toggle('hidden', view !== 'dashboard');
+  settingsView.classList.toggle('hidden', view !== 'settings');
+  historyView.classList.toggle('hidden', view !== 'history');
+  statsView.classList.toggle('hidden', view !== 'stats');
+  rulesView.classList.toggle('hidden', view !== 'rules');
+  settingsToggle.classList.toggle('active', view === 'settings' || view === 'rules');
+  historyToggle.classList.toggle('active', view === 'history');
+  statsToggle.classList.toggle('active', view === 'stats');
+
+  if (view === 'history') {
+    loadHistory();
+  }
+  if (view === 'stats') {
+    loadStats();
+  }
+}
+
+// Text-to-Speech
+
+function renderSpeakingState(speaking) {
+  stopSpeakingBtn.classList.toggle('hidden', !speaking);
+}
+
+// Fill the voice select from the system voices
+async function populateVoices() {
+  const voices = await chrome.tts.getVoices();
+  for (const voice of voices) {
+    if (!voice.voiceName) continue;
+    const option = document.createElement('option');
+    option.value = voice.voiceName;
+    option.textContent = voice.lang ? `${voice.voiceName} (${voice.lang})` : voice.voiceName;
+    ttsVoiceSelect.appendChild(option);
+  }
+}
+
+function updateReminderRowsVisibility() {
+  const hidden = !reminderToggle.checked;
+  reminderIntervalRow.classList.toggle('hidden', hidden);
+  reminderCountRow.classList.toggle('hidden', hidden);
+  reminderEscalateRow.classList.toggle('hidden', hidden);
+}
+
+function updateTtsRowsVisibility() {
+  const hidden = !ttsToggle.checked;
+  ttsVoiceRow.classList.toggle('hidden', hidden);
+  ttsRateRow.classList.toggle('hidden', hidden);
+  ttsLengthRow.classList.toggle('hidden', hidden);
+}
+
+// Snooze
+
+// Resolve a snooze menu choice to a timestamp
+function getSnoozeUntil(choice) {
+  if (choice === 'tomorrow') {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(8, 0, 0, 0);
+    return tomorrow.getTime();
+  }
+  return Date.now() + parseInt(choice, 10) * 60000;
+}
+
+function renderSnoozeState(snoozeUntil) {
+  const snoozed = !!snoozeUntil && snoozeUntil > Date.now();
+  snoozeToggle.classList.toggle('active', snoozed);
+  snoozeResume.classList.toggle('hidden', !snoozed);
+  snoozeStatus.classList.toggle('hidden', !snoozed);
+  if (snoozed) {
+    const until = new Date(snoozeUntil).toLocaleString(undefined, {
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    snoozeStatus.textContent = `Snoozed until ${until}`;
+    snoozeToggle.title = `Alerts snoozed until ${until}`;
+  } else {
+    snoozeToggle.title = 'Snooze alerts';
+  }
+}
+
+async function loadSnoozeState() {
+  const result = await chrome.storage.local.get(['snoozeUntil']);
+  renderSnoozeState(result.snoozeUntil);
+}
+
+async function setSnooze(until) {
+  const response = await chrome.runtime.sendMessage({ type: 'SET_SNOOZE', until: until });
+  renderSnoozeState(response?.snoozeUntil);
+  snoozeMenu.classList.add('hidden');
+}
+
+// History View
+
+// Convert the date filter into a timestamp lower bound
+function getHistoryRangeStart(range) {
+  if (range === 'today') {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    return start.getTime();
+  }
+  const days = parseInt(range, 10);
+  return days > 0 ? Date.now() - days * 86400000 : null;
+}
+
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function renderHistoryRow(entry) {
+  const site = getSiteAdapterById(entry.site) || getSiteAdapterById('chatgpt');
+  const title = cleanTitle(entry.title, site);
+  const duration = entry.duration ? ` · ${formatElapsedTime(entry.duration)}` : '';
+  const text = entry.text || entry.preview;
+
+  return `
+    <div class="history-row" data-url="${escapeHtml(entry.url)}" data-id="${entry.id}">
+      <div class="tab-title" title="${escapeHtml(entry.title)}">${escapeHtml(title)}</div>
+      <div class="tab-meta">
+        <span class="tab-provider ${site.id}">${site.name}</span>
+        <span>${formatDateTime(entry.timestamp)}${duration}</span>
+        ${text ? '<button class="link-btn history-expand">Show response</button>' : ''}
+      </div>
+      ${text ? `<div class="history-preview">${escapeHtml(text)}</div>` : ''}
+    </div>
+  `;
+}
+
+// Load the current page of history from the background store
+async function loadHistory() {
+  const { search, range, page } = historyQuery;
+  const response = await chrome.runtime.sendMessage({
+    type: 'QUERY_HISTORY',
+    query: {
+      search: search,
+      from: getHistoryRangeStart(range),
+      offset: page * HISTORY_PAGE_SIZE,
+      limit: HISTORY_PAGE_SIZE
+    }
+  });
+  const entries = response?.entries || [];
+  const total = response?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  historyCount.textContent = `${total} ${total === 1 ? 'completion' : 'completions'}`;
+  historyPage.textContent = `Page ${page + 1} of ${pageCount}`;
+  historyPrev.disabled = page === 0;
+  historyNext.disabled = page + 1 >= pageCount;
+
+  historyList.classList.toggle('hidden', entries.length === 0);
+  historyEmpty.classList.toggle('hidden', entries.length > 0);
+  historyList.innerHTML = entries.map(renderHistoryRow).join('');
+  historyList.scrollTop = 0;
+  historyEntries = new Map(entries.map(entry => [entry.id, entry]));
+
+  historyList.querySelectorAll('.history-row').forEach(row => {
+    row.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_CONVERSATION', url: row.dataset.url });
+      closePopup();
+    });
+
+    const expandBtn = row.querySelector('.history-expand');
+    if (expandBtn) {
+      expandBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleHistoryResponse(row, expandBtn);
+      });
+    }
+  });
+}
+
+// Swap a history row's preview for the full rendered response (and back)
+function toggleHistoryResponse(row, button) {
+  const preview = row.querySelector('.history-preview');
+  let panel = row.querySelector('.response-panel');
+  if (panel) {
+    panel.remove();
+    preview.classList.remove('hidden');
+    button.textContent = 'Show response';
+    return;
+  }
+  const entry = historyEntries.get(Number(row.dataset.id));
+  panel = document.createElement('div');
+  panel.className = 'response-panel';
+  renderResponsePanel(panel, entry.text || entry.preview);
+  row.appendChild(panel);
+  preview.classList.add('hidden');
+  button.textContent = 'Hide response';
+}
+
+// Stats View
+
+function formatStatDuration(ms) {
+  return ms > 0 ? formatElapsedTime(ms) : '–';
+}
+
+// Long totals (thinking/writing, per conversation) read better in hours
+function formatTotalDuration(ms) {
+  const hours = Math.floor(ms / 3600000);
+  return hours > 0 ? `${hours}h ${Math.floor((ms % 3600000) / 60000)}m` : formatElapsedTime(ms);
+}
+
+// One column of a bar chart: stacked segments as a percentage of the chart height
+function renderBar(segments, max, title) {
+  const parts = segments.map(({ value, className }) =>
+    `<div class="bar-segment ${className}" style="height: ${max > 0 ? (value / max) * 100 : 0}%"></div>`
+  ).join('');
+  return `<div class="bar" title="${escapeHtml(title)}">${parts}</div>`;
+}
+
+function renderStats(stats, days) {
+  statsTotal.textContent = `${stats.total} ${stats.total === 1 ? 'generation' : 'generations'}`;
+  statsCompleted.textContent = stats.completed;
+  statsMedian.textContent = formatStatDuration(stats.medianMs);
+  statsP90.textContent = formatStatDuration(stats.p90Ms);
+  statsErrors.textContent = stats.errors;
+
+  // Per day: completed with errors stacked on top
+  const dayMax = Math.max(...stats.perDay.map(d => d.completed + d.errors));
+  const dayLabel = (day) => new Date(day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  statsPerDay.innerHTML = stats.perDay.map(d => renderBar([
+    { value: d.completed, className: 'completed' },
+    { value: d.errors, className: 'errors' }
+  ], dayMax, `${dayLabel(d.day)}: ${d.completed} completed, ${d.errors} failed`)).join('');
+  statsPerDayAxis.innerHTML = `<span>${dayLabel(stats.perDay[0].day)}</span><span>${days > 1 ? 'Today' : ''}</span>`;
+
+  const splitTotal = stats.thinkingMs + stats.writingMs;
+  const thinkingShare = splitTotal > 0 ? Math.round((stats.thinkingMs / splitTotal) * 100) : 0;
+  statsSplitThinking.style.width = `${thinkingShare}%`;
+  statsSplitWriting.style.width = `${splitTotal > 0 ? 100 - thinkingShare : 0}%`;
+  statsThinking.textContent = `Thinking ${formatTotalDuration(stats.thinkingMs)} (${thinkingShare}%)`;
+  statsWriting.textContent = `Writing ${formatTotalDuration(stats.writingMs)} (${splitTotal > 0 ? 100 - thinkingShare : 0}%)`;
+
+  const hourMax = Math.max(...stats.perHour);
+  statsPerHour.innerHTML = stats.perHour.map((count, hour) =>
+    renderBar([{ value: count, className: 'hour' }], hourMax, `${hour}:00 – ${hour}:59: ${count}`)
+  ).join('');
+
+  statsEmpty.classList.toggle('hidden', stats.conversations.length > 0);
+  statsConversations.innerHTML = stats.conversations.map(conversation => {
+    const site = getSiteAdapterById(conversation.site) || getSiteAdapterById('chatgpt');
+    return `
+      <div class="stats-conversation" data-url="${escapeHtml(conversation.url)}">
+        <span class="tab-provider ${site.id}">${site.name}</span>
+        <span class="tab-title" title="${escapeHtml(conversation.title)}">${escapeHtml(cleanTitle(conversation.title, site))}</span>
+        <span class="stats-conversation-meta">${conversation.count}× · ${formatTotalDuration(conversation.totalMs)}</span>
+      </div>
+    `;
+  }).join('');
+
+  statsConversations.querySelectorAll('.stats-conversation').forEach(row => {
+    row.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_CONVERSATION', url: row.dataset.url });
+      closePopup();
+    });
+  });
+}
+
+async function loadStats() {
+  const days = parseInt(statsRange.value, 10);
+  const stats = await chrome.runtime.sendMessage({ type: 'GET_STATS', days: days });
+  if (stats) {
+    renderStats(stats, days);
+  } else {
+    statsTotal.textContent = 'Stats unavailable';
+  }
+}
+
+// History Export / Import
+
+function showHistoryTransferStatus(text) {
+  historyTransferStatus.textContent = text;
+  historyTransferStatus.classList.remove('hidden');
+}
+
+// Save an export built by the background worker ({ content, mimeType, filename })
+function downloadExportFile(file) {
+  const url = URL.createObjectURL(new Blob([file.content], { type: `${file.mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportHistoryFile() {
+  historyExportBtn.disabled = true;
+  const result = await chrome.runtime.sendMessage({ type: 'EXPORT_HISTORY', format: historyExportFormat.value });
+  historyExportBtn.disabled = false;
+  if (result?.success) downloadExportFile(result.file);
+  showHistoryTransferStatus(result?.success
+    ? `Exported ${result.file.count} ${result.file.count === 1 ? 'completion' : 'completions'}`
+    : `Export failed: ${result?.error || 'unknown error'}`);
+}
+
+async function importHistoryFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    showHistoryTransferStatus('Import failed: not a JSON file');
+    return;
+  }
+  const result = await chrome.runtime.sendMessage({ type: 'IMPORT_HISTORY', data: data });
+  showHistoryTransferStatus(result?.success
+    ? `Imported ${result.added} ${result.added === 1 ? 'completion' : 'completions'}` +
+      (result.skipped > 0 ? ` (${result.skipped} duplicate or invalid skipped)` : '')
+    : `Import failed: ${result?.error || 'unknown error'}`);
+}
+
+// Webhooks
+
+function renderWebhooks() {
+  webhooksList.innerHTML = webhooks.map(webhook => `
+    <div class="webhook-row" data-id="${escapeHtml(webhook.id)}">
+      <label class="toggle" title="${webhook.enabled ? 'Enabled' : 'Disabled'}">
+        <input type="checkbox" class="webhook-enabled" ${webhook.enabled ? 'checked' : ''}>
+        <span class="toggle-track"></span>
+      </label>
+      <span class="webhook-url" title="${escapeHtml(webhook.url)}">${escapeHtml(webhook.url)}</span>
+      <button class="text-btn webhook-test">Send test</button>
+      <button class="text-btn webhook-edit">Edit</button>
+      <button class="text-btn danger webhook-delete">Delete</button>
+    </div>
+  `).join('');
+
+  webhooksList.querySelectorAll('.webhook-row').forEach(row => {
+    const webhook = webhooks.find(w => w.id === row.dataset.id);
+
+    row.querySelector('.webhook-enabled').addEventListener('change', async (e) => {
+      webhook.enabled = e.target.checked;
+      await saveWebhooks(webhooks);
+    });
+
+    row.querySelector('.webhook-test').addEventListener('click', async (e) => {
+      const button = e.currentTarget;
+      button.disabled = true;
+      button.textContent = 'Sending...';
+      const result = await chrome.runtime.sendMessage({ type: 'TEST_WEBHOOK', webhook: webhook });
+      button.textContent = result?.ok ? 'Sent ✓' : 'Failed';
+      setTimeout(() => {
+        button.disabled = false;
+        button.textContent = 'Send test';
+      }, 2000);
+    });
+
+    row.querySelector('.webhook-edit').addEventListener('click', () => {
+      openWebhookForm(webhook);
+    });
+
+    row.querySelector('.webhook-delete').addEventListener('click', async () => {
+      webhooks = webhooks.filter(w => w.id !== webhook.id);
+      await saveWebhooks(webhooks);
+      renderWebhooks();
+    });
+  });
+}
+
+function openWebhookForm(webhook = null) {
+  editingWebhookId = webhook ? webhook.id : null;
+  webhookUrlInput.value = webhook ? webhook.url : '';
+  webhookTemplateInput.value = webhook ? webhook.template : DEFAULT_WEBHOOK_TEMPLATE;
+
+  const events = webhook ? webhook.events : Object.keys(WEBHOOK_EVENTS);
+  webhookEventsEl.innerHTML = Object.entries(WEBHOOK_EVENTS).map(([event, label]) => `
+    <label><input type="checkbox" value="${event}" ${events.includes(event) ? 'checked' : ''}> ${label}</label>
+  `).join('');
+
+  webhookError.classList.add('hidden');
+  webhookForm.classList.remove('hidden');
+  webhookAddRow.classList.add('hidden');
+  webhookUrlInput.focus();
+}
+
+function closeWebhookForm() {
+  editingWebhookId = null;
+  webhookForm.classList.add('hidden');
+  webhookAddRow.classList.remove('hidden');
+}
+
+function showWebhookError(message) {
+  webhookError.textContent = message;
+  webhookError.classList.remove('hidden');
+}
+
+async function saveWebhookForm() {
+  let url;
+  try {
+    url = new URL(webhookUrlInput.value.trim());
+  } catch (e) {
+    showWebhookError('Enter a valid URL');
+    return;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    showWebhookError('Only http and https URLs are supported');
+    return;
+  }
+
+  const events = Array.from(webhookEventsEl.querySelectorAll('input:checked')).map(input => input.value);
+  if (events.length === 0) {
+    showWebhookError('Select at least one event');
+    return;
+  }
+
+  // The background worker needs host access to POST to this origin
+  const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+  if (!granted) {
+    showWebhookError(`Permission to access ${url.origin} was denied`);
+    return;
+  }
+
+  const webhook = {
+    id: editingWebhookId || crypto.randomUUID(),
+    url: url.href,
+    enabled: true,
+    events: events,
+    template: webhookTemplateInput.value.trim() || DEFAULT_WEBHOOK_TEMPLATE
+  };
+  const index = webhooks.findIndex(w => w.id === webhook.id);
+  if (index >= 0) {
+    webhook.enabled = webhooks[index].enabled;
+    webhooks[index] = webhook;
+  } else {
+    webhooks.push(webhook);
+  }
+
+  await saveWebhooks(webhooks);
+  closeWebhookForm();
+  renderWebhooks();
+}
+
+async function renderWebhookLog() {
+  const log = (await loadWebhookLog()).slice(0, 10);
+  if (log.length === 0) {
+    webhookLogEl.innerHTML = '<div class="hint-text">No deliveries yet</div>';
+    return;
+  }
+  webhookLogEl.innerHTML = log.map(entry => {
+    const status = entry.ok ? `✓ ${entry.status}` : `✗ ${escapeHtml(entry.error)}`;
+    const attempts = entry.attempts > 1 ? ` · ${entry.attempts} tries` : '';
+    return `
+      <div class="log-row ${entry.ok ? '' : 'failed'}" title="${escapeHtml(entry.url)}">
+        <span class="log-status">${status}</span>
+        <span class="log-target">${escapeHtml(entry.event)} → ${escapeHtml(entry.url)}</span>
+        <span>${formatRelativeTime(entry.timestamp)}${attempts}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadWebhookSettings() {
+  webhooks = await loadWebhooks();
+  renderWebhooks();
+  await renderWebhookLog();
+}
+
+// Alert Rules
+
+function renderRules() {
+  const enabledCount = rules.filter(rule => rule.enabled).length;
+  rulesCount.textContent = rules.length === 0
+    ? 'No rules'
+    : `${rules.length} ${rules.length === 1 ? 'rule' : 'rules'} (${enabledCount} on)`;
+
+  rulesList.innerHTML = rules.map((rule, index) => `
+    <div class="rule-row" data-id="${escapeHtml(rule.id)}">
+      <label class="toggle" title="${rule.enabled ? 'Enabled' : 'Disabled'}">
+        <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+        <span class="toggle-track"></span>
+      </label>
+      <div class="rule-info">
+        <div class="rule-name">${escapeHtml(rule.name)} → ${escapeHtml(RULE_ACTIONS[rule.action])}</div>
+        <div class="rule-summary" title="${escapeHtml(describeRuleMatch(rule.match))}">${escapeHtml(describeRuleMatch(rule.match))}</div>
+      </div>
+      <button class="text-btn rule-up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+      <button class="text-btn rule-down" title="Move down" ${index === rules.length - 1 ? 'disabled' : ''}>↓</button>
+      <button class="text-btn rule-edit">Edit</button>
+      <button class="text-btn danger rule-delete">Delete</button>
+    </div>
+  `).join('');
+
+  rulesList.querySelectorAll('.rule-row').forEach(row => {
+    const rule = rules.find(r => r.id === row.dataset.id);
+
+    row.querySelector('.rule-enabled').addEventListener('change', async (e) => {
+      rule.enabled = e.target.checked;
+      await saveRules(rules);
+      renderRules();
+    });
+
+    row.querySelector('.rule-up').addEventListener('click', () => moveRule(rule.id, -1));
+    row.querySelector('.rule-down').addEventListener('click', () => moveRule(rule.id, 1));
+
+    row.querySelector('.rule-edit').addEventListener('click', () => {
+      openRuleForm(rule);
+    });
+
+    row.querySelector('.rule-delete').addEventListener('click', async () => {
+      rules = rules.filter(r => r.id !== rule.id);
+      await saveRules(rules);
+      renderRules();
+    });
+  });
+}
+
+async function moveRule(ruleId, offset) {
+  const index = rules.findIndex(r => r.id === ruleId);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= rules.length) return;
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  await saveRules(rules);
+  renderRules();
+}
+
+function openRuleForm(rule = null) {
+  const match = rule ? rule.match : {};
+  editingRuleId = rule ? rule.id : null;
+  ruleNameInput.value = rule ? rule.name : '';
+  ruleTitleInput.value = match.title || '';
+  ruleUrlInput.value = match.url || '';
+  ruleResponseInput.value = match.response || '';
+  ruleModelInput.value = match.model || '';
+  ruleMinDurationInput.value = match.minDurationSec ?? '';
+  ruleMaxDurationInput.value = match.maxDurationSec ?? '';
+  ruleActionSelect.value = rule ? rule.action : 'suppress';
+
+  ruleError.classList.add('hidden');
+  ruleForm.classList.remove('hidden');
+  ruleAddRow.classList.add('hidden');
+  ruleNameInput.focus();
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  ruleForm.classList.add('hidden');
+  ruleAddRow.classList.remove('hidden');
+}
+
+function showRuleError(message) {
+  ruleError.textContent = message;
+  ruleError.classList.remove('hidden');
+}
+
+// Empty duration field = no limit
+function parseDurationInput(input) {
+  const value = input.value.trim();
+  if (value === '') return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : NaN;
+}
+
+async function saveRuleForm() {
+  const response = ruleResponseInput.value.trim();
+  if (response) {
+    try {
+      compileRuleRegex(response);
+    } catch (e) {
+      showRuleError(`Invalid regular expression: ${e.message}`);
+      return;
+    }
+  }
+
+  const minDurationSec = parseDurationInput(ruleMinDurationInput);
+  const maxDurationSec = parseDurationInput(ruleMaxDurationInput);
+  if (Number.isNaN(minDurationSec) || Number.isNaN(maxDurationSec)) {
+    showRuleError('Durations must be positive numbers of seconds');
+    return;
+  }
+  if (minDurationSec !== null && maxDurationSec !== null && minDurationSec > maxDurationSec) {
+    showRuleError('Minimum duration is longer than the maximum');
+    return;
+  }
+
+  const match = {
+    title: ruleTitleInput.value.trim(),
+    url: ruleUrlInput.value.trim(),
+    response: response,
+    model: ruleModelInput.value.trim(),
+    minDurationSec: minDurationSec,
+    maxDurationSec: maxDurationSec
+  };
+  const rule = {
+    id: editingRuleId || crypto.randomUUID(),
+    name: ruleNameInput.value.trim() || describeRuleMatch(match),
+    enabled: true,
+    match: match,
+    action: ruleActionSelect.value
+  };
+  const index = rules.findIndex(r => r.id === rule.id);
+  if (index >= 0) {
+    rule.enabled = rules[index].enabled;
+    rules[index] = rule;
+  } else {
+    rules.push(rule);
+  }
+
+  await saveRules(rules);
+  closeRuleForm();
+  renderRules();
+}
+
+// Show which rule (and action) each recent completion would get with the saved rules
+async function runRulesTest() {
+  const [{ entries }, stored] = await Promise.all([
+    chrome.runtime.sendMessage({ type: 'QUERY_HISTORY', query: { offset: 0, limit: 50 } }),
+    chrome.storage.sync.get(['settings'])
+  ]);
+  const modelActions = sanitizeSettings(stored.settings).modelActions;
+  if (!entries || entries.length === 0) {
+    rulesTestResults.innerHTML = '<div class="hint-text">No completions in history yet</div>';
+    return;
+  }
+
+  const counts = {};
+  const rows = entries.map(entry => {
+    const rule = findMatchingRule(rules, {
+      title: entry.title,
+      url: entry.url,
+      text: entry.text || entry.preview, // Live rules see the full response
+      model: entry.model || '',
+      durationMs: entry.duration
+    });
+    const action = rule ? rule.action : getModelDefaultAction(modelActions, entry.model);
+    counts[action] = (counts[action] || 0) + 1;
+    const site = getSiteAdapterById(entry.site) || getSiteAdapterById('chatgpt');
+    return `
+      <div class="rule-test-row ${action}" title="${escapeHtml(entry.preview)}">
+        <span class="log-target">${escapeHtml(cleanTitle(entry.title, site))}</span>
+        <span>${rule ? escapeHtml(rule.name) : (entry.model ? `No rule (${escapeHtml(entry.model)})` : 'No rule')}</span>
+        <span class="rule-test-action">${escapeHtml(RULE_ACTIONS[action])}</span>
+      </div>
+    `;
+  });
+
+  const summary = Object.entries(counts)
+    .map(([action, count]) => `${count} × ${RULE_ACTIONS[action]}`)
+    .join(' · ');
+  rulesTestResults.innerHTML = `<div class="hint-text">${escapeHtml(summary)}</div>` + rows.join('');
+}
+
+async function loadRuleSettings() {
+  ruleActionSelect.innerHTML = Object.entries(RULE_ACTIONS).map(([action, label]) =>
+    `<option value="${action}">${escapeHtml(label)}</option>`
+  ).join('');
+  rules = await loadRules();
+  renderRules();
+  await renderModelDefaults();
+}
+
+// Per-model action for completions that match no rule, for every model seen so far
+async function renderModelDefaults() {
+  const [models, result] = await Promise.all([
+    loadKnownModels(),
+    chrome.storage.sync.get(['settings'])
+  ]);
+  const modelActions = sanitizeSettings(result.settings).modelActions;
+
+  modelDefaultsEmpty.classList.toggle('hidden', models.length > 0);
+  modelDefaultsList.innerHTML = models.map(model => `
+    <div class="setting-row" data-model="${escapeHtml(model)}">
+      <span class="setting-label">${escapeHtml(model)}</span>
+      <select class="setting-select model-default-action">
+        ${Object.entries(RULE_ACTIONS).map(([action, label]) =>
+          `<option value="${action}" ${getModelDefaultAction(modelActions, model) === action ? 'selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  modelDefaultsList.querySelectorAll('.setting-row').forEach(row => {
+    row.querySelector('.model-default-action').addEventListener('change', async (e) => {
+      if (e.target.value === DEFAULT_RULE_ACTION) {
+        delete modelActions[row.dataset.model];
+      } else {
+        modelActions[row.dataset.model] = e.target.value;
+      }
+      await saveSetting('modelActions', { ...modelActions });
+    });
+  });
+}
+
+// Custom Sounds
+
+// Rebuild the "Your sounds" group of the sound select
+async function renderCustomSounds() {
+  const sounds = await listCustomSounds();
+  customSoundsGroup.innerHTML = '';
+  for (const sound of sounds) {
+    const option = document.createElement('option');
+    option.value = CUSTOM_SOUND_PREFIX + sound.id;
+    option.textContent = sound.name;
+    customSoundsGroup.appendChild(option);
+  }
+  customSoundsGroup.hidden = sounds.length === 0;
+}
+
+function updateDeleteSoundVisibility() {
+  deleteSoundBtn.classList.toggle('hidden', !isCustomSound(soundSelect.value));
+}
+
+function showSoundError(message) {
+  soundError.textContent = message;
+  soundError.classList.toggle('hidden', !message);
+}
+
+// Read an audio file's duration (rejects if the browser can't decode it)
+function getAudioDuration(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    audio.addEventListener('loadedmetadata', () => {
+      URL.revokeObjectURL(url);
+      resolve(audio.duration);
+    }, { once: true });
+    audio.addEventListener('error', () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Unsupported audio file'));
+    }, { once: true });
+    audio.src = url;
+  });
+}
+
+async function uploadCustomSound(file) {
+  showSoundError('');
+  if (!file.type.startsWith('audio/')) {
+    showSoundError('Choose an audio file');
+    return;
+  }
+  if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+    showSoundError(`File is too large (max ${MAX_CUSTOM_SOUND_BYTES / 1024 / 1024} MB)`);
+    return;
+  }
+
+  let duration;
+  try {
+    duration = await getAudioDuration(file);
+  } catch (e) {
+    showSoundError('This audio format is not supported');
+    return;
+  }
+  if (!Number.isFinite(duration) || duration > MAX_CUSTOM_SOUND_SECONDS) {
+    showSoundError(`Sound is too long (max ${MAX_CUSTOM_SOUND_SECONDS} seconds)`);
+    return;
+  }
+
+  const sound = await addCustomSound({
+    id: crypto.randomUUID(),
+    name: file.name.replace(/\.[^.]+$/, '') || 'Custom sound',
+    blob: file,
+    size: file.size,
+    duration: duration,
+    createdAt: Date.now()
+  });
+
+  // Select the new sound right away
+  await renderCustomSounds();
+  soundSelect.value = CUSTOM_SOUND_PREFIX + sound.id;
+  updateDeleteSoundVisibility();
+  await saveSetting('selectedSound', soundSelect.value);
+}
+
+async function deleteSelectedCustomSound() {
+  if (!isCustomSound(soundSelect.value)) return;
+  await deleteCustomSound(getCustomSoundId(soundSelect.value));
+  await renderCustomSounds();
+  soundSelect.value = DEFAULT_SETTINGS.selectedSound;
+  updateDeleteSoundVisibility();
+  await saveSetting('selectedSound', soundSelect.value);
 }
 
 // Load settings from storage
@@ -372,22 +1459,101 @@ async function loadSettings() {
   soundToggle.checked = settings.soundEnabled;
   volumeSlider.value = settings.soundVolume * 100;
   volumeValue.textContent = Math.round(settings.soundVolume * 100) + '%';
+  await renderCustomSounds();
   soundSelect.value = settings.selectedSound;
+  if (!soundSelect.value) {
+    // Selected custom sound no longer exists
+    soundSelect.value = DEFAULT_SETTINGS.selectedSound;
+  }
+  updateDeleteSoundVisibility();
   updateSoundRowsVisibility();
 
   notificationsToggle.checked = settings.notificationsEnabled;
   previewSelect.value = settings.previewLength.toString();
+  focusModeSelect.value = settings.alertFocusMode;
+  coalesceSelect.value = String(settings.coalesceWindowSec);
+  stallSelect.value = String(settings.stallTimeoutSec);
+  longRunningSelect.value = String(settings.longRunningAlertMin);
+  errorAlertsToggle.checked = settings.errorAlertsEnabled;
+  errorSoundSelect.value = settings.errorSound;
+  attentionAlertsToggle.checked = settings.attentionAlertsEnabled;
+  attentionSoundSelect.value = settings.attentionSound;
+  updateErrorSoundRowVisibility();
+
+  ttsToggle.checked = settings.ttsEnabled;
+  ttsVoiceSelect.value = settings.ttsVoice;
+  if (ttsVoiceSelect.value !== settings.ttsVoice) {
+    ttsVoiceSelect.value = ''; // Voice no longer installed
+  }
+  ttsRateSelect.value = String(settings.ttsRate);
+  ttsLengthSelect.value = String(settings.ttsMaxSentences);
+  updateTtsRowsVisibility();
+
+  reminderToggle.checked = settings.reminderEnabled;
+  reminderIntervalSelect.value = String(settings.reminderIntervalMin);
+  reminderCountSelect.value = String(settings.reminderMaxCount);
+  reminderEscalateToggle.checked = settings.reminderEscalate;
+  updateReminderRowsVisibility();
 
   autoEnableToggle.checked = settings.autoEnableEnabled;
   delaySelect.value = settings.stabilityWindowMs.toString();
+  badgeModeSelect.value = settings.badgeMode;
+
+  quietToggle.checked = settings.quietHoursEnabled;
+  quietStart.value = settings.quietHoursStart;
+  quietEnd.value = settings.quietHoursEnd;
+  quietDays.querySelectorAll('input').forEach(input => {
+    input.checked = settings.quietHoursDays.includes(parseInt(input.value, 10));
+  });
+  quietModeSelect.value = settings.quietHoursMode;
+
+  historyMaxSelect.value = settings.historyMaxEntries.toString();
+  historyDaysSelect.value = settings.historyRetentionDays.toString();
 }
 
-// Save a single setting
+// Save a single setting (also remembered in the active profile if it bundles it)
 async function saveSetting(key, value) {
-  const result = await chrome.storage.sync.get(['settings']);
-  const settings = sanitizeSettings(result.settings);
-  settings[key] = value;
-  await chrome.storage.sync.set({ settings });
+  await updateSettings({ [key]: value });
+}
+
+// Profiles
+
+async function loadProfiles() {
+  const state = await loadSettingsState();
+  profileSelect.innerHTML = state.profiles.map(profile =>
+    `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+  ).join('');
+  profileSelect.value = state.activeProfile;
+  profileDeleteBtn.disabled = state.profiles.length <= 1;
+}
+
+async function createProfileFromCurrent() {
+  const name = prompt('Name for the new profile (saves the current sound, notification, preview, delay and auto-monitor settings):');
+  if (!name || !name.trim()) return;
+  await createProfile(name);
+}
+
+async function deleteActiveProfile() {
+  const option = profileSelect.selectedOptions[0];
+  if (!option || !confirm(`Delete the profile "${option.textContent}"?`)) return;
+  await deleteProfile(profileSelect.value);
+}
+
+function showSettingsTransferStatus(text) {
+  settingsTransferStatus.textContent = text;
+  settingsTransferStatus.classList.remove('hidden');
+}
+
+async function importSettingsFile(file) {
+  try {
+    const { invalidKeys } = await importSettings(JSON.parse(await file.text()));
+    await loadSettings();
+    showSettingsTransferStatus(invalidKeys.length > 0
+      ? `Imported; invalid values reset to defaults: ${invalidKeys.join(', ')}`
+      : 'Settings imported');
+  } catch (e) {
+    showSettingsTransferStatus(`Import failed: ${e instanceof SyntaxError ? 'not a JSON file' : e.message}`);
+  }
 }
 
 // Update volume and sound rows visibility based on sound toggle
@@ -395,6 +1561,16 @@ function updateSoundRowsVisibility() {
   const hidden = !soundToggle.checked;
   volumeRow.classList.toggle('hidden', hidden);
   soundRow.classList.toggle('hidden', hidden);
+  if (hidden) {
+    showSoundError('');
+  }
+  updateErrorSoundRowVisibility();
+}
+
+// Error / needs-input sounds only matter when both sounds and those alerts are on
+function updateErrorSoundRowVisibility() {
+  errorSoundRow.classList.toggle('hidden', !soundToggle.checked || !errorAlertsToggle.checked);
+  attentionSoundRow.classList.toggle('hidden', !soundToggle.checked || !attentionAlertsToggle.checked);
 }
 
 // Update volume display
@@ -408,16 +1584,109 @@ function setupEventListeners() {
   searchInput.addEventListener('input', (e) => {
     searchQuery = e.target.value.toLowerCase();
     renderTabsList();
+    saveSidePanelState();
+  });
+
+  // Provider filter
+  providerFilter.addEventListener('change', () => {
+    providerQuery = providerFilter.value;
+    renderTabsList();
+    saveSidePanelState();
+  });
+
+  // Side panel: open from the popup, remember the scroll position there
+  sidePanelOpenBtn.addEventListener('click', openSidePanel);
+  tabsList.addEventListener('scroll', saveSidePanelState);
+
+  // Mark all read
+  markAllReadBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'MARK_ALL_READ' });
+  });
+
+  // Model filter
+  modelFilter.addEventListener('change', () => {
+    modelQuery = modelFilter.value;
+    renderTabsList();
+    saveSidePanelState();
   });
 
   // Settings toggle
   settingsToggle.addEventListener('click', () => {
-    showSettings(!settingsVisible);
+    showView(currentView === 'settings' ? 'dashboard' : 'settings');
   });
 
   // Settings back button
   settingsBack.addEventListener('click', () => {
-    showSettings(false);
+    showView('dashboard');
+  });
+
+  // Snooze menu
+  snoozeToggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    snoozeMenu.classList.toggle('hidden');
+  });
+
+  snoozeMenu.querySelectorAll('[data-snooze]').forEach(item => {
+    item.addEventListener('click', () => setSnooze(getSnoozeUntil(item.dataset.snooze)));
+  });
+
+  snoozeResume.addEventListener('click', () => setSnooze(null));
+
+  document.addEventListener('click', (e) => {
+    if (!snoozeMenu.contains(e.target)) {
+      snoozeMenu.classList.add('hidden');
+    }
+  });
+
+  // History toggle
+  historyToggle.addEventListener('click', () => {
+    showView(currentView === 'history' ? 'dashboard' : 'history');
+  });
+
+  // History back button
+  historyBack.addEventListener('click', () => {
+    showView('dashboard');
+  });
+
+  // Stats toggle, back button and range
+  statsToggle.addEventListener('click', () => {
+    showView(currentView === 'stats' ? 'dashboard' : 'stats');
+  });
+
+  statsBack.addEventListener('click', () => {
+    showView('dashboard');
+  });
+
+  statsRange.addEventListener('change', loadStats);
+
+  clearStatsBtn.addEventListener('click', async () => {
+    if (!confirm('Delete all collected statistics?')) return;
+    await chrome.runtime.sendMessage({ type: 'CLEAR_STATS' });
+    loadStats();
+  });
+
+  // History search + date filter (reset to first page)
+  historySearch.addEventListener('input', (e) => {
+    historyQuery.search = e.target.value;
+    historyQuery.page = 0;
+    loadHistory();
+  });
+
+  historyRange.addEventListener('change', () => {
+    historyQuery.range = historyRange.value;
+    historyQuery.page = 0;
+    loadHistory();
+  });
+
+  // History pagination
+  historyPrev.addEventListener('click', () => {
+    historyQuery.page = Math.max(0, historyQuery.page - 1);
+    loadHistory();
+  });
+
+  historyNext.addEventListener('click', () => {
+    historyQuery.page++;
+    loadHistory();
   });
 
   // Sound toggle
@@ -429,8 +1698,22 @@ function setupEventListeners() {
   // Sound select
   soundSelect.addEventListener('change', () => {
     saveSetting('selectedSound', soundSelect.value);
+    updateDeleteSoundVisibility();
   });
 
+  // Upload / delete custom sounds
+  uploadSoundBtn.addEventListener('click', () => soundFileInput.click());
+
+  soundFileInput.addEventListener('change', () => {
+    const file = soundFileInput.files[0];
+    soundFileInput.value = '';
+    if (file) {
+      uploadCustomSound(file);
+    }
+  });
+
+  deleteSoundBtn.addEventListener('click', deleteSelectedCustomSound);
+
   // Preview sound button
   previewSoundBtn.addEventListener('click', async () => {
     const result = await chrome.storage.sync.get(['settings']);
@@ -458,37 +1741,306 @@ function setupEventListeners() {
     saveSetting('previewLength', parseInt(previewSelect.value));
   });
 
+  // Focus mode select
+  focusModeSelect.addEventListener('change', () => {
+    saveSetting('alertFocusMode', focusModeSelect.value);
+  });
+
+  // Completion grouping window
+  coalesceSelect.addEventListener('change', () => {
+    saveSetting('coalesceWindowSec', parseInt(coalesceSelect.value));
+  });
+
+  // Generation warnings
+  stallSelect.addEventListener('change', () => {
+    saveSetting('stallTimeoutSec', parseInt(stallSelect.value));
+  });
+
+  longRunningSelect.addEventListener('change', () => {
+    saveSetting('longRunningAlertMin', parseInt(longRunningSelect.value));
+  });
+
+  // Error alerts
+  errorAlertsToggle.addEventListener('change', () => {
+    saveSetting('errorAlertsEnabled', errorAlertsToggle.checked);
+    updateErrorSoundRowVisibility();
+  });
+
+  errorSoundSelect.addEventListener('change', () => {
+    saveSetting('errorSound', errorSoundSelect.value);
+  });
+
+  previewErrorSoundBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      type: 'PLAY_SOUND',
+      volume: volumeSlider.value / 100,
+      sound: errorSoundSelect.value
+    });
+  });
+
+  // Needs-input alerts
+  attentionAlertsToggle.addEventListener('change', () => {
+    saveSetting('attentionAlertsEnabled', attentionAlertsToggle.checked);
+    updateErrorSoundRowVisibility();
+  });
+
+  attentionSoundSelect.addEventListener('change', () => {
+    saveSetting('attentionSound', attentionSoundSelect.value);
+  });
+
+  previewAttentionSoundBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      type: 'PLAY_SOUND',
+      volume: volumeSlider.value / 100,
+      sound: attentionSoundSelect.value
+    });
+  });
+
+  // Text-to-speech
+  ttsToggle.addEventListener('change', () => {
+    saveSetting('ttsEnabled', ttsToggle.checked);
+    updateTtsRowsVisibility();
+  });
+
+  ttsVoiceSelect.addEventListener('change', () => {
+    saveSetting('ttsVoice', ttsVoiceSelect.value);
+  });
+
+  ttsRateSelect.addEventListener('change', () => {
+    saveSetting('ttsRate', parseFloat(ttsRateSelect.value));
+  });
+
+  ttsLengthSelect.addEventListener('change', () => {
+    saveSetting('ttsMaxSentences', parseInt(ttsLengthSelect.value));
+  });
+
+  // Reminders
+  reminderToggle.addEventListener('change', () => {
+    saveSetting('reminderEnabled', reminderToggle.checked);
+    updateReminderRowsVisibility();
+  });
+
+  reminderIntervalSelect.addEventListener('change', () => {
+    saveSetting('reminderIntervalMin', parseInt(reminderIntervalSelect.value));
+  });
+
+  reminderCountSelect.addEventListener('change', () => {
+    saveSetting('reminderMaxCount', parseInt(reminderCountSelect.value));
+  });
+
+  reminderEscalateToggle.addEventListener('change', () => {
+    saveSetting('reminderEscalate', reminderEscalateToggle.checked);
+  });
+
+  previewTtsBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      type: 'SPEAK_PREVIEW',
+      voice: ttsVoiceSelect.value,
+      rate: parseFloat(ttsRateSelect.value)
+    });
+  });
+
+  stopSpeakingBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'STOP_SPEAKING' });
+    renderSpeakingState(false);
+  });
+
   // Auto-enable toggle
   autoEnableToggle.addEventListener('change', () => {
     saveSetting('autoEnableEnabled', autoEnableToggle.checked);
   });
 
+  // Badge mode select
+  badgeModeSelect.addEventListener('change', () => {
+    saveSetting('badgeMode', badgeModeSelect.value);
+  });
+
   // Delay select
   delaySelect.addEventListener('change', () => {
     saveSetting('stabilityWindowMs', parseInt(delaySelect.value));
   });
 
+  // Quiet hours
+  quietToggle.addEventListener('change', () => {
+    saveSetting('quietHoursEnabled', quietToggle.checked);
+  });
+
+  quietStart.addEventListener('change', () => {
+    if (quietStart.value) saveSetting('quietHoursStart', quietStart.value);
+  });
+
+  quietEnd.addEventListener('change', () => {
+    if (quietEnd.value) saveSetting('quietHoursEnd', quietEnd.value);
+  });
+
+  quietDays.addEventListener('change', () => {
+    const days = Array.from(quietDays.querySelectorAll('input:checked')).map(input => parseInt(input.value, 10));
+    saveSetting('quietHoursDays', days);
+  });
+
+  quietModeSelect.addEventListener('change', () => {
+    saveSetting('quietHoursMode', quietModeSelect.value);
+  });
+
+  // History retention
+  historyMaxSelect.addEventListener('change', () => {
+    saveSetting('historyMaxEntries', parseInt(historyMaxSelect.value));
+  });
+
+  historyDaysSelect.addEventListener('change', () => {
+    saveSetting('historyRetentionDays', parseInt(historyDaysSelect.value));
+  });
+
+  // Clear history
+  clearHistoryBtn.addEventListener('click', async () => {
+    if (!confirm('Delete all stored completions?')) return;
+    await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
+  });
+
+  // History export / import
+  historyExportBtn.addEventListener('click', exportHistoryFile);
+  historyImportBtn.addEventListener('click', () => historyImportFile.click());
+  historyImportFile.addEventListener('change', () => {
+    const file = historyImportFile.files[0];
+    historyImportFile.value = ''; // Allow importing the same file again
+    if (file) importHistoryFile(file);
+  });
+
+  // Alert rules
+  rulesOpenBtn.addEventListener('click', () => showView('rules'));
+  rulesBack.addEventListener('click', () => showView('settings'));
+  ruleAddBtn.addEventListener('click', () => openRuleForm());
+  ruleCancelBtn.addEventListener('click', closeRuleForm);
+  ruleSaveBtn.addEventListener('click', saveRuleForm);
+  rulesTestBtn.addEventListener('click', runRulesTest);
+
+  // Webhooks
+  webhookAddBtn.addEventListener('click', () => openWebhookForm());
+  webhookCancelBtn.addEventListener('click', closeWebhookForm);
+  webhookSaveBtn.addEventListener('click', saveWebhookForm);
+
+  // Profiles (switcher in the header, management in settings)
+  profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+  profileNewBtn.addEventListener('click', createProfileFromCurrent);
+  profileDeleteBtn.addEventListener('click', deleteActiveProfile);
+  settingsExportBtn.addEventListener('click', async () => {
+    const result = await chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' });
+    if (result?.success) {
+      downloadExportFile(result.file);
+    } else {
+      showSettingsTransferStatus(`Export failed: ${result?.error || 'unknown error'}`);
+    }
+  });
+  settingsImportBtn.addEventListener('click', () => settingsImportFile.click());
+  settingsImportFile.addEventListener('change', () => {
+    const file = settingsImportFile.files[0];
+    settingsImportFile.value = ''; // Allow importing the same file again
+    if (file) importSettingsFile(file);
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    // Refresh the delivery log as deliveries finish
+    if (namespace === 'local' && changes[WEBHOOK_LOG_KEY]) {
+      renderWebhookLog();
+    }
+    // Profile switched, created, deleted or imported (here or via the keyboard shortcut)
+    if (namespace === 'sync' && (changes.activeProfile || changes.profiles)) {
+      loadProfiles();
+      if (changes.activeProfile) {
+        loadSettings();
+      }
+    }
+  });
+
   // Listen for real-time updates from background
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'TABS_UPDATE') {
       allTabs = message.tabs || [];
       renderTabsList();
+    } else if (message.type === 'TTS_STATE') {
+      renderSpeakingState(message.speaking);
     }
   });
 }
 
+// Side Panel
+
+// Leave the action popup after an action that takes the user elsewhere
+function closePopup() {
+  if (!IS_SIDE_PANEL) {
+    window.close();
+  }
+}
+
+async function openSidePanel() {
+  await chrome.sidePanel.open({ windowId: currentWindowId });
+  window.close();
+}
+
+// Debounced: scrolling fires continuously
+function saveSidePanelState() {
+  if (!IS_SIDE_PANEL) return;
+  clearTimeout(sidePanelStateTimer);
+  sidePanelStateTimer = setTimeout(() => {
+    chrome.storage.local.set({
+      [SIDE_PANEL_STATE_KEY]: {
+        search: searchInput.value,
+        provider: providerQuery,
+        model: modelQuery,
+        scrollTop: tabsList.scrollTop
+      }
+    });
+  }, 300);
+}
+
+// Apply the saved search and filters (before the first render) and return the scroll position
+async function restoreSidePanelState() {
+  const result = await chrome.storage.local.get([SIDE_PANEL_STATE_KEY]);
+  const state = result[SIDE_PANEL_STATE_KEY];
+  if (!state) return 0;
+  searchInput.value = state.search || '';
+  searchQuery = searchInput.value.toLowerCase();
+  providerQuery = state.provider || '';
+  providerFilter.value = providerQuery;
+  modelQuery = state.model || '';
+  return state.scrollTop || 0;
+}
+
+// Fill the provider filter from the site adapters
+function populateProviderFilter() {
+  for (const site of SITE_ADAPTERS) {
+    const option = document.createElement('option');
+    option.value = site.id;
+    option.textContent = site.name;
+    providerFilter.appendChild(option);
+  }
+}
+
 // Initialize
 async function init() {
   try {
+    populateProviderFilter();
+    document.body.classList.toggle('side-panel', IS_SIDE_PANEL);
+    const scrollTop = IS_SIDE_PANEL ? await restoreSidePanelState() : 0;
+    currentWindowId = (await chrome.windows.getCurrent()).id;
+
     // Load all tabs from background
     const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_TABS' });
     allTabs = response?.tabs || [];
 
     // Render dashboard
     renderTabsList();
+    tabsList.scrollTop = scrollTop;
 
     // Load settings
+    await populateVoices();
     await loadSettings();
+    await loadProfiles();
+    await loadWebhookSettings();
+    await loadRuleSettings();
+    await loadSnoozeState();
+    const ttsState = await chrome.runtime.sendMessage({ type: 'GET_TTS_STATE' });
+    renderSpeakingState(!!ttsState?.speaking);
 
     // Set up event listeners
     setupEventListeners();
@@ -0,0 +1,117 @@
+// ChatGPT Completion Notifier - Alert Rules
+// Ordered, user-defined rules that decide how a completion on a monitored tab is announced.
+// Loaded by the background worker (evaluation) and the popup (editor, test against history).
+
+// AlertRule structure (chrome.storage.local 'alertRules'):
+// {
+//   id: string,
+//   name: string,
+//   enabled: boolean,
+//   match: {
+//     title: string,              // substring of the conversation title ('' = any)
+//     url: string,                // substring of the URL, e.g. a GPT or project path ('' = any)
+//     response: string,           // regular expression tested against the response text ('' = any)
+//     model: string,              // substring of the model slug ('' = any)
+//     minDurationSec: number|null,
+//     maxDurationSec: number|null
+//   },
+//   action: string                // key of RULE_ACTIONS
+// }
+
+const RULES_KEY = 'alertRules';
+
+// Action -> label shown in settings
+const RULE_ACTIONS = {
+  notify: 'Notify (notification + sound)',
+  sound: 'Sound only',
+  silent: 'Notification without sound',
+  webhook: 'Webhooks only',
+  suppress: 'Suppress'
+};
+
+// Used when no rule matches and the model has no default (settings.modelActions)
+const DEFAULT_RULE_ACTION = 'notify';
+
+// Models seen in conversations, offered for per-model defaults in settings
+const KNOWN_MODELS_KEY = 'knownModels';
+const KNOWN_MODELS_LIMIT = 20;
+
+async function loadRules() {
+  const result = await chrome.storage.local.get([RULES_KEY]);
+  return Array.isArray(result[RULES_KEY]) ? result[RULES_KEY] : [];
+}
+
+async function saveRules(rules) {
+  await chrome.storage.local.set({ [RULES_KEY]: rules });
+}
+
+async function loadKnownModels() {
+  const result = await chrome.storage.local.get([KNOWN_MODELS_KEY]);
+  return Array.isArray(result[KNOWN_MODELS_KEY]) ? result[KNOWN_MODELS_KEY] : [];
+}
+
+// Most recently seen first
+async function rememberModel(model) {
+  const models = await loadKnownModels();
+  if (models[0] === model) return;
+  const updated = [model, ...models.filter(m => m !== model)].slice(0, KNOWN_MODELS_LIMIT);
+  await chrome.storage.local.set({ [KNOWN_MODELS_KEY]: updated });
+}
+
+// Action for a completion no rule matched: the model's default, else DEFAULT_RULE_ACTION
+function getModelDefaultAction(modelActions, model) {
+  const action = model && modelActions?.[model];
+  return RULE_ACTIONS[action] ? action : DEFAULT_RULE_ACTION;
+}
+
+// Case-insensitive regex for a rule's response pattern (throws SyntaxError if invalid)
+function compileRuleRegex(pattern) {
+  return new RegExp(pattern, 'i');
+}
+
+function includesText(value, needle) {
+  return (value || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+// RuleContext: { title, url, text, model, durationMs }
+function ruleMatches(rule, context) {
+  const match = rule.match || {};
+  if (match.title && !includesText(context.title, match.title)) return false;
+  if (match.url && !includesText(context.url, match.url)) return false;
+  if (match.model && !includesText(context.model, match.model)) return false;
+
+  const seconds = (context.durationMs || 0) / 1000;
+  if (match.minDurationSec != null && seconds < match.minDurationSec) return false;
+  if (match.maxDurationSec != null && seconds > match.maxDurationSec) return false;
+
+  if (match.response) {
+    try {
+      if (!compileRuleRegex(match.response).test(context.text || '')) return false;
+    } catch (e) {
+      return false; // Invalid pattern never matches
+    }
+  }
+  return true;
+}
+
+// First enabled rule matching the context, or null (use DEFAULT_RULE_ACTION)
+function findMatchingRule(rules, context) {
+  return rules.find(rule => rule.enabled && ruleMatches(rule, context)) || null;
+}
+
+// Reading the full response from the tab is only worth it when a rule looks at it
+function rulesUseResponseText(rules) {
+  return rules.some(rule => rule.enabled && rule.match?.response);
+}
+
+// One-line description of a rule's conditions for the settings list
+function describeRuleMatch(match = {}) {
+  const parts = [];
+  if (match.title) parts.push(`title has "${match.title}"`);
+  if (match.url) parts.push(`URL has "${match.url}"`);
+  if (match.response) parts.push(`response matches /${match.response}/`);
+  if (match.model) parts.push(`model has "${match.model}"`);
+  if (match.minDurationSec != null) parts.push(`took ≥ ${match.minDurationSec}s`);
+  if (match.maxDurationSec != null) parts.push(`took ≤ ${match.maxDurationSec}s`);
+  return parts.length > 0 ? parts.join(', ') : 'every completion';
+}
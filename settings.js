@@ -0,0 +1,292 @@
+// ChatGPT Completion Notifier - Settings
+// Schema, validation, migrations and profiles for the settings in chrome.storage.sync.
+// Loaded by the background worker (importScripts) and the popup.
+
+// chrome.storage.sync layout:
+//   settings: object        // effective flat settings (the active profile's values applied)
+//   settingsVersion: number // SETTINGS_SCHEMA_VERSION the stored data was written with
+//   profiles: Profile[]
+//   activeProfile: string   // Profile id
+//
+// Profile structure:
+// {
+//   id: string,
+//   name: string,
+//   values: object          // PROFILE_KEYS subset of settings
+// }
+
+// 1: flat settings object without a version; 2: profiles
+const SETTINGS_SCHEMA_VERSION = 2;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Setting key -> { default, validate(value): boolean }
+const SETTINGS_SCHEMA = {
+  soundEnabled: { default: true, validate: isBoolean },
+  soundVolume: { default: 0.5, validate: v => isNumberInRange(v, 0, 1) },
+  selectedSound: { default: 'success', validate: isNonEmptyString },
+  notificationsEnabled: { default: true, validate: isBoolean },
+  previewLength: { default: 100, validate: v => Number.isInteger(v) && isNumberInRange(v, 0, 1000) },
+  autoEnableEnabled: { default: true, validate: isBoolean },
+  stabilityWindowMs: { default: 1500, validate: v => Number.isInteger(v) && isNumberInRange(v, 100, 30000) },
+  historyMaxEntries: { default: 1000, validate: v => Number.isInteger(v) && v >= 0 },
+  historyRetentionDays: { default: 90, validate: v => Number.isInteger(v) && v >= 0 },
+  quietHoursEnabled: { default: false, validate: isBoolean },
+  quietHoursStart: { default: '22:00', validate: v => TIME_PATTERN.test(v) },
+  quietHoursEnd: { default: '07:00', validate: v => TIME_PATTERN.test(v) },
+  // Date.getDay() values the window starts on
+  quietHoursDays: {
+    default: [0, 1, 2, 3, 4, 5, 6],
+    validate: v => Array.isArray(v) && v.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  },
+  quietHoursMode: { default: 'silent', validate: v => ['silent', 'suppress'].includes(v) },
+  // 'always' | 'hidden' (tab not visible) | 'unfocused' (Chrome not focused)
+  alertFocusMode: { default: 'hidden', validate: v => ['always', 'hidden', 'unfocused'].includes(v) },
+  // Completions within this many seconds of the previous one share a notification (0 = off)
+  coalesceWindowSec: { default: 5, validate: v => Number.isInteger(v) && isNumberInRange(v, 0, 30) },
+  // Re-notify about unread completions every reminderIntervalMin, up to reminderMaxCount times
+  reminderEnabled: { default: false, validate: isBoolean },
+  reminderIntervalMin: { default: 5, validate: v => Number.isInteger(v) && isNumberInRange(v, 1, 120) },
+  reminderMaxCount: { default: 3, validate: v => Number.isInteger(v) && isNumberInRange(v, 1, 10) },
+  reminderEscalate: { default: true, validate: isBoolean }, // later reminders stay on screen, full volume
+  // What the toolbar badge counts: 'active' generations or 'unread' completions
+  badgeMode: { default: 'active', validate: v => ['active', 'unread'].includes(v) },
+  ttsEnabled: { default: false, validate: isBoolean },
+  ttsVoice: { default: '', validate: v => typeof v === 'string' }, // '' = system default voice
+  ttsRate: { default: 1.0, validate: v => isNumberInRange(v, 0.1, 10) },
+  ttsMaxSentences: { default: 2, validate: v => Number.isInteger(v) && isNumberInRange(v, 1, 20) },
+  errorAlertsEnabled: { default: true, validate: isBoolean },
+  errorSound: { default: 'ping', validate: isNonEmptyString },
+  attentionAlertsEnabled: { default: true, validate: isBoolean },
+  attentionSound: { default: 'chime', validate: isNonEmptyString },
+  // Warn when a generation shows no progress for this long (0 = off). Opt-in: long reasoning
+  // can show no visible progress for minutes
+  stallTimeoutSec: { default: 0, validate: v => Number.isInteger(v) && isNumberInRange(v, 0, 3600) },
+  // Alert when a generation is still running after this many minutes (0 = off)
+  longRunningAlertMin: { default: 0, validate: v => Number.isInteger(v) && isNumberInRange(v, 0, 240) },
+  // model slug -> RULE_ACTIONS key, used when no alert rule matches
+  modelActions: {
+    default: {},
+    validate: v => isPlainObject(v) && Object.values(v).every(isNonEmptyString)
+  }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+// Settings a profile bundles; everything else is shared by all profiles
+const PROFILE_KEYS = [
+  'soundEnabled',
+  'soundVolume',
+  'selectedSound',
+  'notificationsEnabled',
+  'previewLength',
+  'stabilityWindowMs',
+  'autoEnableEnabled'
+];
+
+// Profiles created on first run (values not listed are copied from the current settings)
+const PRESET_PROFILES = [
+  { id: 'default', name: 'Default', values: {} },
+  { id: 'focus', name: 'Focus', values: { notificationsEnabled: false, soundEnabled: true } },
+  { id: 'meeting', name: 'Meeting', values: { soundEnabled: false, notificationsEnabled: true, previewLength: 0 } }
+];
+
+const SETTINGS_EXPORT_FORMAT = 'chatgpt-notifier-settings';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Copy arrays/objects so callers can't mutate the defaults
+function cloneSettingValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Validate a settings object against the schema. Unknown keys are dropped, missing or
+// invalid ones fall back to their default. Returns { settings, invalidKeys }.
+function validateSettings(raw) {
+  const settings = {};
+  const invalidKeys = [];
+  const source = isPlainObject(raw) ? raw : {};
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+    const present = Object.prototype.hasOwnProperty.call(source, key);
+    if (present && field.validate(source[key])) {
+      settings[key] = cloneSettingValue(source[key]);
+    } else {
+      if (present) invalidKeys.push(key);
+      settings[key] = cloneSettingValue(field.default);
+    }
+  }
+  return { settings, invalidKeys };
+}
+
+function sanitizeSettings(raw) {
+  return validateSettings(raw).settings;
+}
+
+function pickProfileValues(settings) {
+  return Object.fromEntries(PROFILE_KEYS.map(key => [key, cloneSettingValue(settings[key])]));
+}
+
+function sanitizeProfiles(rawProfiles, settings) {
+  const profiles = [];
+  for (const raw of Array.isArray(rawProfiles) ? rawProfiles : []) {
+    if (!isPlainObject(raw) || !isNonEmptyString(raw.id) || profiles.some(p => p.id === raw.id)) continue;
+    const values = validateSettings({ ...settings, ...(isPlainObject(raw.values) ? raw.values : {}) }).settings;
+    profiles.push({
+      id: raw.id,
+      name: (isNonEmptyString(raw.name) ? raw.name : 'Profile').slice(0, PROFILE_NAME_MAX_LENGTH),
+      values: pickProfileValues(values)
+    });
+  }
+  return profiles;
+}
+
+function createPresetProfiles(settings) {
+  return PRESET_PROFILES.map(preset => ({
+    id: preset.id,
+    name: preset.name,
+    values: { ...pickProfileValues(settings), ...preset.values }
+  }));
+}
+
+// Bring stored data of any schema version up to SETTINGS_SCHEMA_VERSION.
+// Returns { settings, profiles, activeProfile, settingsVersion, migrated }.
+function migrateSettingsState(stored) {
+  const version = Number.isInteger(stored.settingsVersion) ? stored.settingsVersion : 1;
+  const settings = sanitizeSettings(stored.settings);
+  let profiles = sanitizeProfiles(stored.profiles, settings);
+
+  // v1 -> v2: the flat settings become the "Default" profile next to the presets
+  if (version < 2 || profiles.length === 0) {
+    profiles = createPresetProfiles(settings);
+  }
+
+  let activeProfile = stored.activeProfile;
+  if (!profiles.some(p => p.id === activeProfile)) {
+    activeProfile = profiles[0].id;
+  }
+
+  return {
+    settings: settings,
+    profiles: profiles,
+    activeProfile: activeProfile,
+    settingsVersion: SETTINGS_SCHEMA_VERSION,
+    migrated: version !== SETTINGS_SCHEMA_VERSION || JSON.stringify(stored.profiles) !== JSON.stringify(profiles)
+  };
+}
+
+async function loadSettingsState() {
+  const stored = await chrome.storage.sync.get(['settings', 'settingsVersion', 'profiles', 'activeProfile']);
+  return migrateSettingsState(stored);
+}
+
+async function saveSettingsState(state) {
+  await chrome.storage.sync.set({
+    settings: state.settings,
+    settingsVersion: SETTINGS_SCHEMA_VERSION,
+    profiles: state.profiles,
+    activeProfile: state.activeProfile
+  });
+}
+
+// Apply a partial update; profile settings are also remembered in the active profile.
+// Returns the new effective settings.
+async function updateSettings(patch) {
+  const state = await loadSettingsState();
+  state.settings = sanitizeSettings({ ...state.settings, ...patch });
+  const profile = state.profiles.find(p => p.id === state.activeProfile);
+  profile.values = pickProfileValues(state.settings);
+  await saveSettingsState(state);
+  return state.settings;
+}
+
+// Make a profile active and apply its values. Returns the profile (null if unknown).
+async function switchProfile(profileId) {
+  const state = await loadSettingsState();
+  const profile = state.profiles.find(p => p.id === profileId);
+  if (!profile) return null;
+  state.activeProfile = profile.id;
+  state.settings = sanitizeSettings({ ...state.settings, ...profile.values });
+  await saveSettingsState(state);
+  return profile;
+}
+
+// The profile after the active one (wraps around)
+function getNextProfileId(state) {
+  const index = state.profiles.findIndex(p => p.id === state.activeProfile);
+  return state.profiles[(index + 1) % state.profiles.length].id;
+}
+
+// New profile from the current settings, made active. Returns the profile.
+async function createProfile(name) {
+  const state = await loadSettingsState();
+  const profile = {
+    id: `profile-${Date.now().toString(36)}`,
+    name: name.trim().slice(0, PROFILE_NAME_MAX_LENGTH) || 'Profile',
+    values: pickProfileValues(state.settings)
+  };
+  state.profiles.push(profile);
+  state.activeProfile = profile.id;
+  await saveSettingsState(state);
+  return profile;
+}
+
+// Delete a profile (never the last one); the first remaining profile becomes active if needed
+async function deleteProfile(profileId) {
+  const state = await loadSettingsState();
+  if (state.profiles.length <= 1) return false;
+  state.profiles = state.profiles.filter(p => p.id !== profileId);
+  if (state.activeProfile === profileId) {
+    state.activeProfile = state.profiles[0].id;
+    state.settings = sanitizeSettings({ ...state.settings, ...state.profiles[0].values });
+  }
+  await saveSettingsState(state);
+  return true;
+}
+
+function formatSettingsExport(state) {
+  return JSON.stringify({
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: state.settings,
+    profiles: state.profiles,
+    activeProfile: state.activeProfile
+  }, null, 2);
+}
+
+// Replace settings and profiles with an export. Invalid values fall back to defaults.
+// Returns { invalidKeys }; throws for files that aren't a settings export or come from a newer version.
+async function importSettings(data) {
+  if (!isPlainObject(data) || data.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error('Not a settings export');
+  }
+  if (!Number.isInteger(data.version) || data.version > SETTINGS_SCHEMA_VERSION) {
+    throw new Error('Exported by a newer version of the extension');
+  }
+  const { invalidKeys } = validateSettings(data.settings);
+  const state = migrateSettingsState({
+    settings: data.settings,
+    settingsVersion: data.version,
+    profiles: data.profiles,
+    activeProfile: data.activeProfile
+  });
+  await saveSettingsState(state);
+  return { invalidKeys };
+}
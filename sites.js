@@ -0,0 +1,297 @@
+// ChatGPT Completion Notifier - Site Adapters
+// Each supported assistant supplies its URL patterns and DOM detectors.
+// Loaded by the content script, the background worker (importScripts) and the popup,
+// so keep this file free of side effects. DOM detectors only run in the content script.
+
+// Find the first button whose text matches (fallback for sites without stable attributes).
+// Pass a root, or an array of roots, to keep the scan small: detectors run several times a
+// second while a response streams, and scanning every button on a long page is expensive.
+function findButtonByText(predicate, root = document) {
+  for (const scope of Array.isArray(root) ? root : [root]) {
+    if (!scope) continue;
+    const button = Array.from(scope.querySelectorAll('button')).find(b => predicate(b.textContent || ''));
+    if (button) return button;
+  }
+  return null;
+}
+
+// Map an error message to a reason: 'usage_limit' | 'network' | 'server' (null if not an error)
+function classifyErrorText(text) {
+  if (!text) return null;
+  if (/usage cap|usage limit|reached (your|the) .*limit|hit (your|the) .*limit|too many requests|rate limit/i.test(text)) {
+    return 'usage_limit';
+  }
+  if (/network error|connection (error|lost|interrupted)|check your (internet )?connection|failed to fetch|offline/i.test(text)) {
+    return 'network';
+  }
+  if (/something went wrong|an error occurred|error (occurred|generating)|server error|internal error|unable to (generate|load)/i.test(text)) {
+    return 'server';
+  }
+  return null;
+}
+
+// Short labels for error reasons (popup state label, notifications)
+const ERROR_REASON_LABELS = {
+  network: 'Network error',
+  server: 'Server error',
+  usage_limit: 'Usage limit'
+};
+
+// Labels for pause points that need the user (state label, notifications)
+const ATTENTION_LABELS = {
+  continue: 'Continue generating',
+  approval: 'Needs approval',
+  question: 'Waiting for your reply'
+};
+
+// Classify the text of the first matching error element inside the given roots.
+// Pass the latest turn and the composer: errors elsewhere in the thread belong to earlier
+// turns, and page-wide toasts are often unrelated to the response.
+function detectErrorReason(selectors, roots) {
+  for (const root of roots) {
+    if (!root) continue;
+    for (const element of root.querySelectorAll(selectors.join(', '))) {
+      const reason = classifyErrorText(element.textContent);
+      if (reason) return reason;
+    }
+  }
+  return null;
+}
+
+// Elements worth observing, in order, skipping any the page hasn't rendered
+function queryObserveTargets(selectors) {
+  return selectors.map(selector => document.querySelector(selector)).filter(Boolean);
+}
+
+// SiteAdapter structure:
+// {
+//   id: string,                       // stored on TabInfo.site
+//   name: string,                     // shown in the popup and notifications
+//   hosts: string[],                  // exact hostnames, as in the manifest content_scripts matches
+//   matchPatterns: string[],          // for chrome.tabs.query (same as the manifest matches)
+//   titlePattern: RegExp,             // stripped from tab titles for display
+//   conversationPattern: RegExp,      // captures the conversation ID from the URL path
+//   findStopButton(): Element|null,   // visible while a response is generating
+//   findThinkingIndicator(): Element|null, // visible while a reasoning model is thinking
+//   getLastAssistantMessage(): Element|null,
+//   getLastTurn(): Element|null,      // container of the latest turn (message, errors, prompts)
+//   getComposer(): Element|null,      // the message input area
+//   getErrorReason(): string|null,    // 'network' | 'server' | 'usage_limit' when shown in the latest turn or composer
+//   canContinue: boolean,             // offers "Continue generating" (per-tab auto-continue)
+//   findContinueButton(): Element|null, // "Continue generating" after a truncated answer
+//   findAttentionPrompt(): string|null, // 'approval' | 'question' when the assistant waits for the user
+//   getObserveTargets(): Element[]    // composer + conversation thread, for the MutationObserver
+// }
+const SITE_ADAPTERS = [
+  {
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    matchPatterns: ['https://chatgpt.com/*', 'https://chat.openai.com/*'],
+    titlePattern: /^ChatGPT\s*[-|]\s*/i,
+    conversationPattern: /\/c\/([\w-]+)/, // also /g/<gpt>/c/<id> and /g/<project>/c/<id>
+    findStopButton() {
+      // Composer swaps the send button for a stop button while generating
+      return document.querySelector('button[data-testid="stop-button"]') ||
+        findButtonByText(text => text.trim() === 'Stop', document.querySelector('form'));
+    },
+    findThinkingIndicator() {
+      // "Answer now" button (Pro model thinking state), rendered in the turn being generated
+      return findButtonByText(text => text.includes('Answer now'), this.getLastTurn());
+    },
+    getLastAssistantMessage() {
+      const messages = document.querySelectorAll('[data-message-author-role="assistant"]');
+      return messages.length > 0 ? messages[messages.length - 1] : null;
+    },
+    getLastTurn() {
+      const turns = document.querySelectorAll('main [data-testid^="conversation-turn-"]');
+      return turns.length > 0 ? turns[turns.length - 1] : null;
+    },
+    getComposer() {
+      return document.querySelector('form');
+    },
+    getErrorReason() {
+      // Inline errors ("Something went wrong", usage cap) render in the failed turn or above the composer
+      return detectErrorReason(['.text-token-text-error', '.border-token-border-error', '[role="alert"]'],
+        [this.getLastTurn(), this.getComposer()]);
+    },
+    canContinue: true,
+    findContinueButton() {
+      // Rendered under the last turn, just above the composer
+      return findButtonByText(text => text.trim() === 'Continue generating',
+        [this.getLastTurn(), this.getComposer()?.parentElement]);
+    },
+    findAttentionPrompt() {
+      // Connector and agent actions wait for confirmation before they run
+      if (findButtonByText(text => /^(Allow|Approve|Confirm)\b/.test(text.trim()), this.getLastTurn())) {
+        return 'approval';
+      }
+      // Agent mode and deep research open with clarifying questions
+      const agentTool = findButtonByText(text => /^(Agent|Deep research)$/i.test(text.trim()), this.getComposer());
+      const lastMessage = this.getLastAssistantMessage();
+      if (agentTool && lastMessage && lastMessage.textContent.trim().endsWith('?')) {
+        return 'question';
+      }
+      return null;
+    },
+    getObserveTargets() {
+      return queryObserveTargets(['form', 'main']);
+    }
+  },
+  {
+    id: 'claude',
+    name: 'Claude',
+    hosts: ['claude.ai'],
+    matchPatterns: ['https://claude.ai/*'],
+    titlePattern: /\s*[-|]\s*Claude$/i,
+    conversationPattern: /^\/chat\/([\w-]+)/,
+    findStopButton() {
+      return document.querySelector('button[aria-label="Stop response"]');
+    },
+    findThinkingIndicator() {
+      // Extended thinking renders a collapsible "Thinking" block before any answer text
+      const streaming = document.querySelector('[data-is-streaming="true"]');
+      if (!streaming) return null;
+      const answer = streaming.querySelector('.font-claude-message, .font-claude-response');
+      return answer && answer.textContent.trim() ? null : streaming;
+    },
+    getLastAssistantMessage() {
+      const messages = document.querySelectorAll('[data-is-streaming]');
+      return messages.length > 0 ? messages[messages.length - 1] : null;
+    },
+    getLastTurn() {
+      return this.getLastAssistantMessage()?.parentElement || null;
+    },
+    getComposer() {
+      return document.querySelector('fieldset');
+    },
+    getErrorReason() {
+      return detectErrorReason(['[role="alert"]', '[data-testid="message-warning"]'],
+        [this.getLastTurn(), this.getComposer()]);
+    },
+    canContinue: true,
+    findContinueButton() {
+      // Shown when a response hits the maximum length
+      return findButtonByText(text => text.trim() === 'Continue', [this.getLastTurn(), this.getComposer()?.parentElement]);
+    },
+    findAttentionPrompt() {
+      // Tool (MCP) permission prompt
+      return findButtonByText(text => /^Allow (once|always)/.test(text.trim()),
+        [this.getLastTurn(), this.getComposer()?.parentElement])
+        ? 'approval'
+        : null;
+    },
+    getObserveTargets() {
+      return queryObserveTargets(['fieldset', 'main']);
+    }
+  },
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    hosts: ['gemini.google.com'],
+    matchPatterns: ['https://gemini.google.com/*'],
+    titlePattern: /^(Google\s+)?Gemini\s*[-|]?\s*/i,
+    conversationPattern: /^\/app\/([\w-]+)/,
+    findStopButton() {
+      return document.querySelector('button[aria-label="Stop response"]');
+    },
+    findThinkingIndicator() {
+      // Thinking models show <model-thoughts> before the answer content appears
+      const last = this.getLastTurn();
+      if (!last || !last.querySelector('model-thoughts')) return null;
+      const content = last.querySelector('message-content');
+      return content && content.textContent.trim() ? null : last;
+    },
+    getLastAssistantMessage() {
+      const messages = document.querySelectorAll('model-response message-content');
+      return messages.length > 0 ? messages[messages.length - 1] : null;
+    },
+    getLastTurn() {
+      const responses = document.querySelectorAll('model-response');
+      return responses.length > 0 ? responses[responses.length - 1] : null;
+    },
+    getComposer() {
+      return document.querySelector('input-area-v2');
+    },
+    getErrorReason() {
+      return detectErrorReason(['.error-message', '[role="alert"]'], [this.getLastTurn(), this.getComposer()]);
+    },
+    canContinue: false,
+    findContinueButton() {
+      return null;
+    },
+    findAttentionPrompt() {
+      return null;
+    },
+    getObserveTargets() {
+      return queryObserveTargets(['input-area-v2', 'chat-window']);
+    }
+  },
+  {
+    id: 'perplexity',
+    name: 'Perplexity',
+    hosts: ['perplexity.ai', 'www.perplexity.ai'],
+    matchPatterns: ['https://perplexity.ai/*', 'https://www.perplexity.ai/*'],
+    titlePattern: /\s*[-|]\s*Perplexity$/i,
+    conversationPattern: /^\/search\/([\w.-]+)/,
+    findStopButton() {
+      return document.querySelector('button[aria-label="Stop generating response"], button[data-testid="stop-generating-response-button"]');
+    },
+    findThinkingIndicator() {
+      return null; // Perplexity streams search steps as regular text
+    },
+    getLastAssistantMessage() {
+      const messages = document.querySelectorAll('.prose');
+      return messages.length > 0 ? messages[messages.length - 1] : null;
+    },
+    getLastTurn() {
+      return this.getLastAssistantMessage()?.parentElement || null;
+    },
+    getComposer() {
+      return document.querySelector('main textarea')?.parentElement || null;
+    },
+    getErrorReason() {
+      return detectErrorReason(['[role="alert"]'], [this.getLastTurn(), this.getComposer()]);
+    },
+    canContinue: false,
+    findContinueButton() {
+      return null;
+    },
+    findAttentionPrompt() {
+      return null;
+    },
+    getObserveTargets() {
+      return queryObserveTargets(['main']);
+    }
+  }
+];
+
+function getSiteAdapterById(id) {
+  return SITE_ADAPTERS.find(site => site.id === id) || null;
+}
+
+// Resolve the adapter for a URL (null if the URL isn't a supported assistant).
+// Only pages the content script is injected into count: https on the exact manifest hosts.
+function getSiteAdapterForUrl(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+  return SITE_ADAPTERS.find(site => site.hosts.includes(parsed.hostname)) || null;
+}
+
+// Stable key for the conversation a URL shows ('<site>:<id>'), or null for a new/unsaved chat
+function getConversationKey(url) {
+  const site = getSiteAdapterForUrl(url);
+  if (!site) return null;
+  const match = new URL(url).pathname.match(site.conversationPattern);
+  return match ? `${site.id}:${match[1]}` : null;
+}
+
+function getAllSiteMatchPatterns() {
+  return SITE_ADAPTERS.flatMap(site => site.matchPatterns);
+}
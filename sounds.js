@@ -0,0 +1,57 @@
+// ChatGPT Completion Notifier - Custom Sounds
+// User-uploaded notification sounds, stored in IndexedDB (see db.js).
+// Loaded by the popup (upload/delete) and the offscreen document (playback).
+
+// CustomSound structure:
+// {
+//   id: string,
+//   name: string,
+//   blob: Blob,
+//   size: number (bytes),
+//   duration: number (seconds),
+//   createdAt: number
+// }
+
+const SOUNDS_STORE = 'sounds';
+
+// selectedSound values for custom sounds are 'custom:<id>'; bundled sounds use their file name
+const CUSTOM_SOUND_PREFIX = 'custom:';
+
+const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024; // 1 MB
+const MAX_CUSTOM_SOUND_SECONDS = 10;
+
+function isCustomSound(value) {
+  return typeof value === 'string' && value.startsWith(CUSTOM_SOUND_PREFIX);
+}
+
+function getCustomSoundId(value) {
+  return value.slice(CUSTOM_SOUND_PREFIX.length);
+}
+
+async function listCustomSounds() {
+  const db = await openDatabase();
+  const tx = db.transaction(SOUNDS_STORE, 'readonly');
+  const sounds = await requestToPromise(tx.objectStore(SOUNDS_STORE).getAll());
+  return sounds.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function getCustomSound(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(SOUNDS_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(SOUNDS_STORE).get(id));
+}
+
+async function addCustomSound(sound) {
+  const db = await openDatabase();
+  const tx = db.transaction(SOUNDS_STORE, 'readwrite');
+  tx.objectStore(SOUNDS_STORE).put(sound);
+  await transactionDone(tx);
+  return sound;
+}
+
+async function deleteCustomSound(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(SOUNDS_STORE, 'readwrite');
+  tx.objectStore(SOUNDS_STORE).delete(id);
+  await transactionDone(tx);
+}
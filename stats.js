@@ -0,0 +1,145 @@
+// ChatGPT Completion Notifier - Generation Statistics
+// Append-only log of generation outcomes in IndexedDB (see db.js), kept separately from
+// history so it survives history clears and retention. Owned by the background worker;
+// the popup asks for aggregates via messages.
+
+// GenerationEvent structure:
+// {
+//   id: number (auto-increment),
+//   timestamp: number,            // when the generation ended
+//   outcome: 'completed' | 'error' | 'needs_attention',
+//   site: string (SiteAdapter id),
+//   conversationKey: string|null,
+//   title: string,
+//   url: string,
+//   duration: number (ms, 0 if unknown),
+//   thinkingMs: number            // part of duration spent thinking (0 for non-reasoning models)
+// }
+
+const EVENTS_STORE = 'events';
+const EVENTS_RETENTION_DAYS = 365;
+const STATS_TOP_CONVERSATIONS = 10;
+
+async function addGenerationEvent(event) {
+  const db = await openDatabase();
+  const tx = db.transaction(EVENTS_STORE, 'readwrite');
+  const store = tx.objectStore(EVENTS_STORE);
+  store.add(event);
+
+  // Drop events past the retention window
+  const cutoff = Date.now() - EVENTS_RETENTION_DAYS * 86400000;
+  const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+
+  await transactionDone(tx);
+}
+
+async function getGenerationEvents(from) {
+  const db = await openDatabase();
+  const tx = db.transaction(EVENTS_STORE, 'readonly');
+  const index = tx.objectStore(EVENTS_STORE).index('timestamp');
+  return requestToPromise(index.getAll(IDBKeyRange.lowerBound(from)));
+}
+
+async function clearGenerationEvents() {
+  const db = await openDatabase();
+  const tx = db.transaction(EVENTS_STORE, 'readwrite');
+  tx.objectStore(EVENTS_STORE).clear();
+  await transactionDone(tx);
+}
+
+// Value at the given fraction of a sorted array (nearest rank), 0 when empty
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil(fraction * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+function localDayStart(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Aggregate the last `days` days (including today, local time) for the Stats view:
+// {
+//   total, completed, errors, needsAttention,
+//   medianMs, p90Ms,                    // completed generations with a known duration
+//   thinkingMs, writingMs,              // summed over completed generations
+//   perDay: [{ day, completed, errors }], // oldest first, one entry per day
+//   perHour: number[24],                // generations by local hour
+//   conversations: [{ key, site, title, url, count, totalMs }] // busiest first
+// }
+async function computeStats(days) {
+  const firstDay = localDayStart(Date.now() - (days - 1) * 86400000);
+  const events = await getGenerationEvents(firstDay);
+
+  const perDay = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(firstDay);
+    day.setDate(day.getDate() + i); // Not i * 86400000: days around DST changes aren't 24h
+    perDay.push({ day: day.getTime(), completed: 0, errors: 0 });
+  }
+  const dayIndex = new Map(perDay.map((entry, i) => [entry.day, i]));
+
+  const perHour = new Array(24).fill(0);
+  const conversations = new Map();
+  const durations = [];
+  let thinkingMs = 0;
+  let writingMs = 0;
+  let completed = 0;
+  let errors = 0;
+  let needsAttention = 0;
+
+  for (const event of events) {
+    const dayEntry = perDay[dayIndex.get(localDayStart(event.timestamp))];
+    perHour[new Date(event.timestamp).getHours()]++;
+
+    if (event.outcome === 'error') {
+      errors++;
+      if (dayEntry) dayEntry.errors++;
+    } else if (event.outcome === 'needs_attention') {
+      needsAttention++;
+    } else {
+      completed++;
+      if (dayEntry) dayEntry.completed++;
+      if (event.duration > 0) {
+        durations.push(event.duration);
+        const thinking = Math.min(event.thinkingMs || 0, event.duration);
+        thinkingMs += thinking;
+        writingMs += event.duration - thinking;
+      }
+    }
+
+    const key = event.conversationKey || event.url;
+    const conversation = conversations.get(key) ||
+      { key: key, site: event.site, title: event.title, url: event.url, count: 0, totalMs: 0 };
+    conversation.count++;
+    conversation.totalMs += event.duration || 0;
+    conversation.title = event.title || conversation.title; // Latest title wins (events are oldest first)
+    conversations.set(key, conversation);
+  }
+
+  durations.sort((a, b) => a - b);
+
+  return {
+    total: events.length,
+    completed: completed,
+    errors: errors,
+    needsAttention: needsAttention,
+    medianMs: percentile(durations, 0.5),
+    p90Ms: percentile(durations, 0.9),
+    thinkingMs: thinkingMs,
+    writingMs: writingMs,
+    perDay: perDay,
+    perHour: perHour,
+    conversations: Array.from(conversations.values())
+      .sort((a, b) => b.count - a.count || b.totalMs - a.totalMs)
+      .slice(0, STATS_TOP_CONVERSATIONS)
+  };
+}
@@ -0,0 +1,133 @@
+// ChatGPT Completion Notifier - Webhooks
+// Delivers completion events to user-configured URLs (e.g. a local automation server).
+// Loaded by the background worker (delivery) and the popup (storage helpers, template).
+
+// Webhook structure (chrome.storage.local 'webhooks'):
+// {
+//   id: string,
+//   url: string,
+//   enabled: boolean,
+//   events: string[],   // subset of WEBHOOK_EVENTS
+//   template: string    // request body with {{placeholders}}
+// }
+
+const WEBHOOKS_KEY = 'webhooks';
+const WEBHOOK_LOG_KEY = 'webhookLog';
+const WEBHOOK_LOG_LIMIT = 50;
+
+// Event type -> label shown in settings
+const WEBHOOK_EVENTS = {
+  completed: 'Completed',
+  error: 'Failed',
+  needs_attention: 'Needs input'
+};
+
+const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "event": "{{event}}",
+  "site": "{{site}}",
+  "title": "{{title}}",
+  "url": "{{url}}",
+  "model": "{{model}}",
+  "duration": "{{duration}}",
+  "durationMs": {{durationMs}},
+  "preview": "{{preview}}",
+  "reason": "{{reason}}",
+  "timestamp": "{{timestamp}}"
+}`;
+
+// Delays between attempts (first attempt is immediate)
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 4000, 15000];
+
+async function loadWebhooks() {
+  const result = await chrome.storage.local.get([WEBHOOKS_KEY]);
+  return Array.isArray(result[WEBHOOKS_KEY]) ? result[WEBHOOKS_KEY] : [];
+}
+
+async function saveWebhooks(webhooks) {
+  await chrome.storage.local.set({ [WEBHOOKS_KEY]: webhooks });
+}
+
+async function loadWebhookLog() {
+  const result = await chrome.storage.local.get([WEBHOOK_LOG_KEY]);
+  return Array.isArray(result[WEBHOOK_LOG_KEY]) ? result[WEBHOOK_LOG_KEY] : [];
+}
+
+async function appendWebhookLog(entry) {
+  const log = await loadWebhookLog();
+  log.unshift(entry);
+  await chrome.storage.local.set({ [WEBHOOK_LOG_KEY]: log.slice(0, WEBHOOK_LOG_LIMIT) });
+}
+
+// Substitute {{key}} placeholders. Values are JSON-escaped so they can sit inside
+// string literals of a JSON template; numbers are inserted as-is.
+function renderWebhookTemplate(template, payload) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(payload, key)) return '';
+    const value = payload[key];
+    if (typeof value === 'number') return String(value);
+    return JSON.stringify(String(value ?? '')).slice(1, -1);
+  });
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// POST one payload to one webhook, retrying network errors and 408/429/5xx with backoff.
+// Resolves to the log entry describing the final outcome.
+async function deliverWebhook(webhook, payload) {
+  const body = renderWebhookTemplate(webhook.template || DEFAULT_WEBHOOK_TEMPLATE, payload);
+  let contentType = 'application/json';
+  try {
+    JSON.parse(body);
+  } catch (e) {
+    contentType = 'text/plain'; // Custom non-JSON template
+  }
+
+  let attempts = 0;
+  let status = null;
+  let error = null;
+
+  while (true) {
+    attempts++;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: body
+      });
+      status = response.status;
+      error = response.ok ? null : `HTTP ${response.status}`;
+      if (response.ok || !isRetryableStatus(response.status)) break;
+    } catch (e) {
+      status = null;
+      error = e.message || 'Network error';
+    }
+
+    if (attempts > WEBHOOK_RETRY_DELAYS_MS.length) break;
+    await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS_MS[attempts - 1]));
+  }
+
+  const entry = {
+    webhookId: webhook.id,
+    url: webhook.url,
+    event: payload.event,
+    ok: !error,
+    status: status,
+    error: error,
+    attempts: attempts,
+    timestamp: Date.now()
+  };
+  await appendWebhookLog(entry);
+  if (error) {
+    console.warn('[ChatGPT Notifier] Webhook delivery failed:', webhook.url, error, `(${attempts} attempts)`);
+  }
+  return entry;
+}
+
+// Send an event to every enabled webhook subscribed to it
+async function dispatchWebhooks(event, payload) {
+  const webhooks = await loadWebhooks();
+  const targets = webhooks.filter(w => w.enabled && w.url && (w.events || []).includes(event));
+  await Promise.all(targets.map(w => deliverWebhook(w, { ...payload, event })));
+}